@@ -6,6 +6,18 @@ export default function createParser(options, unitStore) {
   // private variables and functions for the Unit parser
   let text, index, c
 
+  // In mixed mode, a number after a list of units starts the next part, as in "5 ft 3 in"
+  let mixedMode, afterDegrees
+
+  // Symbols that may be used in place of unit names in mixed mode. The prime and double prime mean arcmin and arcsec after a degree sign, and ft and in otherwise.
+  const MIXED_SYMBOLS = {
+    '°': () => 'deg',
+    '\'': () => afterDegrees ? 'arcmin' : 'ft',
+    '′': () => afterDegrees ? 'arcmin' : 'ft',
+    '"': () => afterDegrees ? 'arcsec' : 'in',
+    '″': () => afterDegrees ? 'arcsec' : 'in'
+  }
+
   function skipWhitespace () {
     while (c === ' ' || c === '\t') {
       next()
@@ -108,11 +120,12 @@ export default function createParser(options, unitStore) {
   function parseUnit () {
     let unitName = ''
 
-    // Alphanumeric characters only; matches [a-zA-Z0-9]
+    // Alphanumeric characters and underscores only; matches [a-zA-Z0-9_]
     let code = text.charCodeAt(index)
     while ((code >= 48 && code <= 57) ||
             (code >= 65 && code <= 90) ||
-            (code >= 97 && code <= 122)) {
+            (code >= 97 && code <= 122) ||
+            code === 95) {
       unitName += c
       next()
       code = text.charCodeAt(index)
@@ -139,165 +152,253 @@ export default function createParser(options, unitStore) {
 
 
   /**
-   * Parse a string and return the numeric value (or null) and an array of units with their powers.
+   * Parse a list of units, such as "kg m^2 / s^2", stopping at the end of the input or at an unmatched closing parenthesis. Parenthesized groups are parsed recursively.
    *
-   * Throws an exception if the provided string does not contain a valid unit or
-   * cannot be parsed.
-   * @memberof Unit
-   * @param {string} str        A string like "5.2 inch", "4e2 cm/s^2"
-   * @return {Object} { value, unitArray }
+   * Division is evaluated from left to right, and implicit multiplication binds more tightly than division, so that every unit after a "/" is in the denominator: "J / mol K" and "J / mol / K" are both J mol^-1 K^-1. An explicit "*" is treated the same as implicit multiplication.
+   * @param {boolean} isGroup True if this list is inside a pair of parentheses.
+   * @param {boolean} [inDenominator] True if the list follows a "/", as in "1 / s".
+   * @return {Object[]} Array of unit pieces, each with properties unit, prefix, and power.
    */
-  function parse(str) {
+  function parseUnitList (isGroup, inDenominator) {
+    const pieces = []
+    let powerMultiplierCurrent = inDenominator ? -1 : 1
+    let expectingUnit = !!inDenominator
 
-    // console.log(`parse("${str}")`)
+    while (true) {
+      skipWhitespace()
 
-    text = str
-    index = -1
-    c = ''
+      // End of the input or of the current group
+      if (!c || c === ')') {
+        break
+      }
 
-    if (typeof text !== 'string') {
-      throw new TypeError('Invalid argument in parse, string expected')
+      // In mixed mode, a number starts the next part
+      if (mixedMode && !expectingUnit && pieces.length > 0 && (isDigitDot(c) || c === '+' || c === '-')) {
+        break
+      }
+
+      let group
+      if (parseCharacter('(')) {
+        group = parseUnitList(true)
+        skipWhitespace()
+        if (!parseCharacter(')')) {
+          throw new SyntaxError(`Missing ")" in "${text}" at index ${index}`)
+        }
+      } else {
+        const oldC = c
+        let uStr
+        if (mixedMode && MIXED_SYMBOLS.hasOwnProperty(c)) {
+          uStr = MIXED_SYMBOLS[c]()
+          if (c === '°') {
+            afterDegrees = true
+          }
+          next()
+        } else {
+          uStr = parseUnit()
+        }
+        if (uStr === null) {
+          throw new SyntaxError('Unexpected "' + oldC + '" in "' + text + '" at index ' + index.toString())
+        }
+
+        // Verify the unit exists and get the prefix (if any)
+        const res = unitStore.findUnit(uStr)
+        if (res === null) {
+          // Unit not found.
+          throw new SyntaxError('Unit "' + uStr + '" not found.')
+        }
+
+        group = [{
+          unit: res.unit,
+          prefix: res.prefix,
+          power: 1
+        }]
+      }
+
+      let power = powerMultiplierCurrent
+      // Is there a "^ number"? If so, it applies to every unit in the group.
+      skipWhitespace()
+      if (parseCharacter('^')) {
+        skipWhitespace()
+        const p = parseNumber()
+        if (p === null) {
+          // No valid number found for the power!
+          throw new SyntaxError('In "' + text + '", "^" must be followed by a floating-point number')
+        }
+        power *= parseFloat(p)
+      }
+
+      // Add the units to the list
+      for (let i = 0; i < group.length; i++) {
+        group[i].power *= power
+        pieces.push(group[i])
+      }
+
+      skipWhitespace()
+
+      // "/" means we are expecting something to come next.
+      // Is there a forward slash? If so, set powerMultiplierCurrent to -1. All remaining units in this list will be in the denominator.
+      expectingUnit = false
+
+      if (parseCharacter('*')) {
+        expectingUnit = true
+      } else if (parseCharacter('/')) {
+        powerMultiplierCurrent = -1
+        expectingUnit = true
+      }
+    }
+
+    if (expectingUnit) {
+      if (c === ')') {
+        throw new SyntaxError(`Unexpected ")" in "${text}" at index ${index}`)
+      }
+      throw new SyntaxError('Trailing characters: "' + text + '"')
+    }
+
+    if (isGroup && pieces.length === 0) {
+      throw new SyntaxError(`Unexpected "${c || ')'}" in "${text}" at index ${index}`)
     }
 
+    return pieces
+  }
+
+  /**
+   * Parse an optional number, optionally followed by "*" or "/", and a list of units, starting at the current character.
+   * @return {Object} { value, units, dimensions }
+   */
+  function parseValueAndUnits () {
     const unit = {}
     unit.dimensions = []
     for (let i = 0; i < unitStore.BASE_DIMENSIONS.length; i++) {
       unit.dimensions[i] = 0
     }
-    
-    unit.units = []
-
-    let powerMultiplierCurrent = 1
-    let expectingUnit = false
-
-    // A unit should follow this pattern:
-    // [number] ...[ [*/] unit[^number] ]
-    // unit[^number] ... [ [*/] unit[^number] ]
-
-    // Rules:
-    // number is any floating point number.
-    // unit is any alphanumeric string beginning with an alpha. Units with names like e3 should be avoided because they look like the exponent of a floating point number!
-    // The string may optionally begin with a number.
-    // Each unit may optionally be followed by ^number.
-    // Whitespace or a forward slash is recommended between consecutive units, although the following technically is parseable:
-    //   2m^2kg/s^2
-    // it is not good form. If a unit starts with e, then it could be confused as a floating point number:
-    //   4erg
 
-    next()
-    skipWhitespace()
-
-    // Optional number at the start of the string
+    // Optional number at the start
     const valueStr = parseNumber()
     // console.log(`valueStr = "${valueStr}"`)
-    
+
+    let inDenominator = false
     if (valueStr) {
       unit.value = parseFloat(valueStr)
 
       skipWhitespace() // Whitespace is not required here
 
       // handle multiplication or division right after the value, like '1/s'
-      if(parseCharacter('*')) {
+      if (parseCharacter('*')) {
         // Ignore
-      }
-      else if (parseCharacter('/')) {
-        powerMultiplierCurrent = -1
-        expectingUnit = true
+      } else if (parseCharacter('/')) {
+        inDenominator = true
       }
     }
 
-    while (true) {
-      skipWhitespace()
+    unit.units = parseUnitList(false, inDenominator)
 
-      // Parentheses are not allowed
-      if (c === '(' || c === ')') {
-        throw new SyntaxError(`Unexpected "${c}" in "${text}" at index ${index}`)
+    for (let i = 0; i < unit.units.length; i++) {
+      for (let j = 0; j < unitStore.BASE_DIMENSIONS.length; j++) {
+        unit.dimensions[j] += (unit.units[i].unit.dimensions[j] || 0) * unit.units[i].power
       }
+    }
 
-      // Is there something here?
-      let uStr
-      if (c) {
-        const oldC = c
-        uStr = parseUnit()
-        if (uStr === null) {
-          throw new SyntaxError('Unexpected "' + oldC + '" in "' + text + '" at index ' + index.toString())
-        }
-      } else {
-        // End of input.
-        break
-      }
+    return unit
+  }
 
-      // Verify the unit exists and get the prefix (if any)
-      const res = unitStore.findUnit(uStr)
-      if (res === null) {
-        // Unit not found.
-        throw new SyntaxError('Unit "' + uStr + '" not found.')
+  /**
+   * Parse several parts, each with a value and units, such as "5 ft 3 in". If the first value is negative, the whole quantity is negative, so the values of the other parts are negated too.
+   * @return {Object[]} Array of { value, units, dimensions, text }, one for each part.
+   */
+  function parseMixed () {
+    const parts = []
+    const negative = (c === '-')
+
+    while (c) {
+      const start = index
+      if (parts.length > 0 && (c === '+' || c === '-')) {
+        throw new SyntaxError(`Unexpected "${c}" in "${text}" at index ${index}: only the first part may have a sign`)
       }
-
-      let power = powerMultiplierCurrent
-      // Is there a "^ number"?
-      skipWhitespace()
-      if (parseCharacter('^')) {
-        skipWhitespace()
-        const p = parseNumber()
-        if (p === null) {
-          // No valid number found for the power!
-          throw new SyntaxError('In "' + str + '", "^" must be followed by a floating-point number')
-        }
-        power *= p
+      const part = parseValueAndUnits()
+      if (part.value === undefined || part.units.length === 0) {
+        throw new SyntaxError(`In "${text}", each part must have a value and units, as in "5 ft 3 in"`)
       }
-
-      // Add the unit to the list
-      unit.units.push({
-        unit: res.unit,
-        prefix: res.prefix,
-        power: power
-      })
-      for (let i = 0; i < unitStore.BASE_DIMENSIONS.length; i++) {
-        unit.dimensions[i] += (res.unit.dimensions[i] || 0) * power
+      part.text = text.slice(start, index).trim()
+      if (negative && parts.length > 0) {
+        part.value = -part.value
       }
+      parts.push(part)
 
       skipWhitespace()
-      
-      // "/" means we are expecting something to come next.
-      // Is there a forward slash? If so, set powerMultiplierCurrent to -1. All remaining units will be in the denominator.
-      expectingUnit = false
-      
-      if(parseCharacter('*')) {
-        // Ignore
-      }
-      else if (parseCharacter('/')) {
-        if (powerMultiplierCurrent === -1) {
-          throw new SyntaxError(`Unexpected additional "/" in "${text}" at index ${index}`)
-        }
-        powerMultiplierCurrent = -1
-        expectingUnit = true
+      if (c === ')') {
+        throw new SyntaxError(`Unexpected ")" in "${text}" at index ${index}`)
       }
+    }
 
-      // Replace the unit into the auto unit system
-      if (res.unit.base) {
-        const baseDim = res.unit.base.key
-        unitStore.UNIT_SYSTEMS.auto[baseDim] = {
-          unit: res.unit,
-          prefix: res.prefix
-        }
-      }
+    if (parts.length === 0) {
+      throw new SyntaxError(`In "${text}", each part must have a value and units, as in "5 ft 3 in"`)
+    }
+
+    return parts
+  }
+
+  /**
+   * Parse a string and return the numeric value (or null) and an array of units with their powers.
+   *
+   * Throws an exception if the provided string does not contain a valid unit or
+   * cannot be parsed.
+   * @memberof Unit
+   * @param {string} str        A string like "5.2 inch", "4e2 cm/s^2", "8.314 J / (mol K)"
+   * @param {Object} [parseOptions] Set `mixed: true` to parse several parts of the same dimension, such as "5 ft 3 in". The parts are returned in an array.
+   * @return {Object|Object[]} { value, units, dimensions }, or an array of them in mixed mode
+   */
+  function parse(str, parseOptions) {
+
+    // console.log(`parse("${str}")`)
+
+    text = str
+    index = -1
+    c = ''
+    mixedMode = !!(parseOptions && parseOptions.mixed)
+    afterDegrees = false
+
+    if (typeof text !== 'string') {
+      throw new TypeError('Invalid argument in parse, string expected')
+    }
+
+    // A unit should follow this pattern:
+    // [number] [ [*/] ] list
+    // list: item ... [ [*/] item ]
+    // item: unit[^number] or (list)[^number]
+
+    // Rules:
+    // number is any floating point number.
+    // unit is any alphanumeric string beginning with an alpha. Units with names like e3 should be avoided because they look like the exponent of a floating point number!
+    // The string may optionally begin with a number.
+    // Each unit or parenthesized group may optionally be followed by ^number.
+    // Division is evaluated from left to right, so "kg / m / s^2" is kg m^-1 s^-2.
+    // Whitespace or a forward slash is recommended between consecutive units, although the following technically is parseable:
+    //   2m^2kg/s^2
+    // it is not good form. If a unit starts with e, then it could be confused as a floating point number:
+    //   4erg
+    // In mixed mode, the pattern is repeated, and each repetition must have a number and a list: 5 ft 3 in
+
+    next()
+    skipWhitespace()
+
+    if (mixedMode) {
+      return parseMixed()
     }
 
+    const unit = parseValueAndUnits()
+
     // Has the string been entirely consumed?
     skipWhitespace()
+    if (c === ')') {
+      throw new SyntaxError(`Unexpected ")" in "${text}" at index ${index}`)
+    }
     if (c) {
       throw new SyntaxError('Could not parse: "' + str + '"')
     }
 
-    // Is there a trailing slash?
-    if (expectingUnit) {
-      throw new SyntaxError('Trailing characters: "' + str + '"')
-    }
-
     return unit
-  
+
   }
 
   return parse
-}
\ No newline at end of file
+}
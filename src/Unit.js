@@ -1,5 +1,6 @@
 import createParser from './Parser.js'
 import createUnitStore from './UnitStore.js'
+import formatNumber from './formatNumber.js'
 
 
 /* The export will be a function named unit.
@@ -14,11 +15,7 @@ Units are immutable, so all public functions that return a new unit must freeze
 
 TODO: Make things behave nicely when performing operations between units that exist in different namespaces (ahhhhh!)
 
-TODO: Store value in the original units (the "denormalized" value), so that there is no round-off error. Upon conversion or simplification, the internal value might change.
-
-TODO: Change normalize and denormalize to something more intuitive
-
-TODO: Make a function that combines equal units (ft ft becomes ft^2, for instance)
+Values are stored in the units they were given in, and are only converted when needed (by to, add, simplify, etc.), so that there is no unnecessary round-off error.
 
 */
 
@@ -84,12 +81,7 @@ let _config = function _config(options) {
       throw new TypeError('To construct a unit, you must supply a single string, a number and a string, or a custom type and a string.')
     }
 
-    this.type = 'Unit'
-    this.dimensions = parseResult.dimensions
-    this.units = _combineDuplicateUnits(parseResult.units)
-
-    // TODO: All the denormalizing/normalizing creates round-off error. See if we can reduce the number of floating point operations somehow.
-    this.value = (parseResult.value === undefined || parseResult.value === null) ? null : _denormalize(this.units, _normalize(parseResult.units, parseResult.value))
+    _assignParseResult(this, parseResult)
 
   }
 
@@ -180,33 +172,251 @@ let _config = function _config(options) {
   }
 
   /**
-   * Convert the unit to a specific unit name.
+   * Takes the cube root of a unit. The cube root of a negative value is negative.
+   * @memberof Unit
+   * @returns {Unit} The cube root of this unit.
+   */
+  Unit.prototype.cbrt = function () {
+    let unit = _nthRoot(this, 3)
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Takes the nth root of a unit.
+   * @memberof Unit
+   * @param {number} n The root, such as 2 for a square root. Negative values may only have odd roots.
+   * @returns {Unit} The nth root of this unit.
+   */
+  Unit.prototype.nthRoot = function (n) {
+    let unit = _nthRoot(this, n)
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Returns the absolute value of a unit.
+   * @memberof Unit
+   * @returns {Unit} A unit with the same units and the absolute value of this unit's value.
+   */
+  Unit.prototype.abs = function () {
+    let unit = _abs(this)
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Negates a unit.
+   * @memberof Unit
+   * @returns {Unit} A unit with the same units and the negative of this unit's value.
+   */
+  Unit.prototype.neg = function () {
+    let unit = _neg(this)
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Returns the inverse of a unit, which is 1 divided by the unit. The power of every unit is negated, so s becomes s^-1.
+   * @memberof Unit
+   * @returns {Unit} The inverse of this unit.
+   */
+  Unit.prototype.inv = function () {
+    let unit = _inv(this)
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Rounds a unit to the nearest multiple of an increment, or to a number of decimal places.
+   * @memberof Unit
+   * @param {Unit|string|number} [increment] A unit of the same dimension, such as `'5 min'`, or the number of decimal places. The default is 0 decimal places.
+   * @returns {Unit} The rounded unit, in the same units as this unit.
+   */
+  Unit.prototype.round = function (increment) {
+    let unit = _round(this, increment, options.customRound, 'round')
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Rounds a unit down to a multiple of an increment, or to a number of decimal places.
+   * @memberof Unit
+   * @param {Unit|string|number} [increment] A unit of the same dimension, such as `'5 min'`, or the number of decimal places. The default is 0 decimal places.
+   * @returns {Unit} The rounded unit, in the same units as this unit.
+   */
+  Unit.prototype.floor = function (increment) {
+    let unit = _round(this, increment, options.customFloor, 'floor')
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Rounds a unit up to a multiple of an increment, or to a number of decimal places.
+   * @memberof Unit
+   * @param {Unit|string|number} [increment] A unit of the same dimension, such as `'5 min'`, or the number of decimal places. The default is 0 decimal places.
+   * @returns {Unit} The rounded unit, in the same units as this unit.
+   */
+  Unit.prototype.ceil = function (increment) {
+    let unit = _round(this, increment, options.customCeil, 'ceil')
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Takes the sine of an angle.
+   * @memberof Unit
+   * @returns {Unit} A dimensionless unit.
+   */
+  Unit.prototype.sin = function () {
+    let unit = _trig(this, options.customSin, 'sine')
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Takes the cosine of an angle.
+   * @memberof Unit
+   * @returns {Unit} A dimensionless unit.
+   */
+  Unit.prototype.cos = function () {
+    let unit = _trig(this, options.customCos, 'cosine')
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Takes the tangent of an angle.
+   * @memberof Unit
+   * @returns {Unit} A dimensionless unit.
+   */
+  Unit.prototype.tan = function () {
+    let unit = _trig(this, options.customTan, 'tangent')
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Takes the arcsine of a dimensionless unit.
+   * @memberof Unit
+   * @returns {Unit} An angle in radians.
+   */
+  Unit.prototype.asin = function () {
+    let unit = _inverseTrig(this, options.customAsin, 'arcsine')
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Takes the arccosine of a dimensionless unit.
+   * @memberof Unit
+   * @returns {Unit} An angle in radians.
+   */
+  Unit.prototype.acos = function () {
+    let unit = _inverseTrig(this, options.customAcos, 'arccosine')
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Takes the arctangent of a dimensionless unit.
+   * @memberof Unit
+   * @returns {Unit} An angle in radians.
+   */
+  Unit.prototype.atan = function () {
+    let unit = _inverseTrig(this, options.customAtan, 'arctangent')
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Takes the angle from the positive x axis to the point (x, y), where this unit is y. Both units must have the same dimension.
+   * @memberof Unit
+   * @param {Unit|string|number} x The x coordinate.
+   * @returns {Unit} An angle in radians.
+   */
+  Unit.prototype.atan2 = function (x) {
+    x = _convertParamToUnit(x)
+    let unit = _atan2(this, x)
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Raises e to the power of a dimensionless unit. A ratio such as cm/m is converted to a pure number first.
+   * @memberof Unit
+   * @returns {Unit} A dimensionless unit.
+   */
+  Unit.prototype.exp = function () {
+    let unit = _dimensionlessFn(this, options.customExp, 'exponential')
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Takes the natural logarithm of a dimensionless unit. A ratio such as cm/m is converted to a pure number first.
+   * @memberof Unit
+   * @returns {Unit} A dimensionless unit.
+   */
+  Unit.prototype.log = function () {
+    let unit = _dimensionlessFn(this, options.customLog, 'natural logarithm')
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Takes the base-10 logarithm of a dimensionless unit. A ratio such as cm/m is converted to a pure number first.
+   * @memberof Unit
+   * @returns {Unit} A dimensionless unit.
+   */
+  Unit.prototype.log10 = function () {
+    let unit = _dimensionlessFn(this, options.customLog10, 'base-10 logarithm')
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Takes the base-2 logarithm of a dimensionless unit. A ratio such as cm/m is converted to a pure number first.
+   * @memberof Unit
+   * @returns {Unit} A dimensionless unit.
+   */
+  Unit.prototype.log2 = function () {
+    let unit = _dimensionlessFn(this, options.customLog2, 'base-2 logarithm')
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Convert the unit to a specific unit.
    * @memberof Unit
    * @param {string | Unit} valuelessUnit   A unit without value. Can have prefix, like "cm"
+   * @param {Object} [toOptions] Conversion options.
+   * @param {boolean} [toOptions.allowReciprocal] If true, and the dimensions of the target unit are the inverse of this unit's, the unit is inverted before it is converted, as with `toReciprocal`.
+   * @param {string[]} [toOptions.equivalencies] The names of equivalencies, such as `'spectral'`, that may be used to convert between units whose dimensions do not match.
    * @returns {Unit} Returns a clone of the unit with a fixed prefix and unit.
    */
-  Unit.prototype.to = function (valuelessUnit) {
+  Unit.prototype.to = function (valuelessUnit, toOptions) {
     if (!(valuelessUnit instanceof Unit) && typeof valuelessUnit !== 'string') {
       throw new TypeError('Parameter must be a Unit or a string.')
     }
     valuelessUnit = _convertParamToUnit(valuelessUnit)
-    let unit = _to(this, valuelessUnit)
+    let unit = _to(this, valuelessUnit, toOptions)
     Object.freeze(unit)
     return unit
   }
 
   /**
-   * Convert the unit to a specific unit.
+   * Invert the unit, and convert it to a unit whose dimensions are the inverse of this unit's. For example, a frequency in Hz converts to a period in s, and a fuel economy in mpg converts to a fuel consumption in L100km.
    * @memberof Unit
-   * @param {string | Unit} valuelessUnit   A unit without value. Can have prefix, like "cm"
-   * @returns {Unit} Returns a clone of the unit with a fixed prefix and unit.
+   * @param {string | Unit} valuelessUnit   A unit without value, whose dimensions are the inverse of this unit's.
+   * @returns {Unit} Returns the inverse of the unit, with a fixed prefix and unit.
    */
-  Unit.prototype.to = function (valuelessUnit) {
+  Unit.prototype.toReciprocal = function (valuelessUnit) {
     if (!(valuelessUnit instanceof Unit) && typeof valuelessUnit !== 'string') {
       throw new TypeError('Parameter must be a Unit or a string.')
     }
     valuelessUnit = _convertParamToUnit(valuelessUnit)
-    let unit = _to(this, valuelessUnit)
+    let unit = _toReciprocal(this, valuelessUnit)
     Object.freeze(unit)
     return unit
   }
@@ -217,7 +427,45 @@ let _config = function _config(options) {
    * @returns {Unit} Returns a clone of the unit with a fixed prefix and unit.
    */
   Unit.prototype.toSI = function () {
-    let unit = _toSI(this)
+    let unit = _toSystem(this, 'si')
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Convert the unit to the base units of a unit system.
+   * @memberof Unit
+   * @param {string} systemName The name of the unit system: `'si'`, `'cgs'`, `'us'`, or `'auto'`.
+   * @returns {Unit} Returns a clone of the unit, expressed in the base units of the unit system.
+   */
+  Unit.prototype.toSystem = function (systemName) {
+    let unit = _toSystem(this, systemName)
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+   * Split the unit into the sum of several units, such as 5 ft 3 in, or 2 h 15 min 4 s. Every part except the last has a whole-number value.
+   * @memberof Unit
+   * @param {Array<string|Unit>} parts The valueless units to split into, from largest to smallest, such as `['ft', 'in']`.
+   * @param {Object} [splitOptions] Options.
+   * @param {number} [splitOptions.round] Round the last part to this many decimal places. If it rounds up to a whole unit of the part before it, as in 59.9999 s, it is carried over to that part.
+   * @returns {Unit[]} An array of units, one for each part, whose sum equals this unit.
+   */
+  Unit.prototype.split = function (parts, splitOptions) {
+    let result = _split(this, parts, splitOptions)
+    result.forEach(unit => Object.freeze(unit))
+    return result
+  }
+
+  /**
+   * Simplify the units of this unit, using a derived unit (such as N or J) from the unit system if one matches its dimensions, or else a combination of the unit system's base units.
+   * @memberof Unit
+   * @param {string} [systemName] The name of the unit system to use. Defaults to the `system` option.
+   * @returns {Unit} Returns a clone of the unit with simplified units.
+   */
+  Unit.prototype.simplify = function (systemName) {
+    let unit = _simplify(this, _getUnitSystem(typeof systemName === 'undefined' ? options.system : systemName, this))
     Object.freeze(unit)
     return unit
   }
@@ -234,6 +482,24 @@ let _config = function _config(options) {
     return result
   }
 
+  /**
+   * Returns a plain object representing this unit, which is used by JSON.stringify. The unit can be recovered with `unitmath.fromJSON`.
+   * @memberof Unit
+   * @returns {Object} An object with the properties `type`, `value`, `units`, and `fixPrefix`. Each of the `units` has the names of its `unit` and `prefix`, and its `power`.
+   */
+  Unit.prototype.toJSON = function () {
+    return {
+      type: 'Unit',
+      value: this.value === null ? null : options.customClone(this.value),
+      units: this.units.map(piece => ({
+        unit: piece.unit.name,
+        prefix: piece.prefix.name,
+        power: piece.power
+      })),
+      fixPrefix: this.fixPrefix
+    }
+  }
+
 
   // These private functions do not freeze the units before returning, so that we can do mutations on the units before returning the final, frozen unit to the user.
 
@@ -250,6 +516,86 @@ let _config = function _config(options) {
     return unitmath(param)
   }
 
+  /**
+   * Private function _assignParseResult sets the properties of a new unit from the result of parsing a string.
+   * @param {Unit} unit The new unit.
+   * @param {Object} parseResult The result returned by the parser, with the properties `value`, `units`, and `dimensions`.
+   */
+  function _assignParseResult(unit, parseResult) {
+    unit.type = 'Unit'
+    unit.dimensions = parseResult.dimensions
+    unit.units = _combineDuplicateUnits(parseResult.units)
+    unit.fixPrefix = false
+
+    // The value stays in the units it was given in. It only changes if duplicate units with different prefixes were combined, as in km m.
+    unit.value = (parseResult.value === undefined || parseResult.value === null) ? null : _convert(parseResult.units, unit.units, parseResult.value)
+  }
+
+  /**
+   * Private function _parseMixed
+   * @param {string} str A string with several values and units of the same dimension, such as "5 ft 3 in".
+   * @returns {Unit} The sum of the parts, in the units of the first part.
+   */
+  function _parseMixed(str) {
+    const parts = parser(str, { mixed: true })
+
+    let result
+    for (let i = 0; i < parts.length; i++) {
+      const part = new Unit()
+      _assignParseResult(part, parts[i])
+      if (i === 0) {
+        result = part
+      } else if (!result._equalDimension(part)) {
+        throw new Error(`Cannot parse "${str}": the dimensions of "${parts[0].text}" and "${parts[i].text}" do not match`)
+      } else {
+        result = _add(result, part)
+      }
+    }
+    return result
+  }
+
+  /**
+   * Private function _fromJSON
+   * @param {Object} json An object like the one returned by `toJSON`.
+   * @returns {Unit} The unit represented by the object.
+   */
+  function _fromJSON(json) {
+    if (typeof json !== 'object' || json === null || json.type !== 'Unit' || !Array.isArray(json.units)) {
+      throw new TypeError('fromJSON expects an object like the one returned by toJSON')
+    }
+
+    const result = new Unit()
+    result.units = json.units.map(piece => {
+      if (!unitStore.UNITS.hasOwnProperty(piece.unit)) {
+        throw new Error(`Unit "${piece.unit}" not found.`)
+      }
+      const unit = unitStore.UNITS[piece.unit]
+      const prefixName = piece.prefix || ''
+      if (!unit.prefixes.hasOwnProperty(prefixName)) {
+        throw new Error(`Prefix "${prefixName}" is not allowed for unit "${piece.unit}"`)
+      }
+      if (typeof piece.power !== 'number' || !isFinite(piece.power)) {
+        throw new TypeError(`The power of unit "${piece.unit}" must be a finite number (got ${JSON.stringify(piece.power)})`)
+      }
+      return {
+        unit,
+        prefix: unit.prefixes[prefixName],
+        power: piece.power
+      }
+    })
+
+    for (let i = 0; i < result.units.length; i++) {
+      for (let j = 0; j < unitStore.BASE_DIMENSIONS.length; j++) {
+        result.dimensions[j] += (result.units[i].unit.dimensions[j] || 0) * result.units[i].power
+      }
+    }
+
+    // Custom types are serialized by JSON.stringify, so they must be converted back
+    result.value = (json.value === null || json.value === undefined) ? null : options.customConv(json.value)
+    result.fixPrefix = !!json.fixPrefix
+    return result
+  }
+
   /**
    * Private function _clone
    * @param {Unit} unit 
@@ -259,6 +605,7 @@ let _config = function _config(options) {
 
     result.value = unit.value === null ? null : options.customClone(unit.value)
     result.dimensions = unit.dimensions.slice(0)
+    result.fixPrefix = unit.fixPrefix
     result.units = []
     for (let i = 0; i < unit.units.length; i++) {
       result.units[i] = {}
@@ -291,9 +638,11 @@ let _config = function _config(options) {
       // Combine duplicate units
       let foundUnits = {}
       for(let i=0; i<result.length; i++) {
-        if(foundUnits.hasOwnProperty(result[i].unit.name)) {
+        // An alias, such as hours, combines with the unit it is an alias of
+        const name = result[i].unit.aliasOf || result[i].unit.name
+        if(foundUnits.hasOwnProperty(name)) {
           // Combine this unit with the other
-          let firstUnit = foundUnits[result[i].unit.name]
+          let firstUnit = foundUnits[name]
           // console.log(`Found duplicate unit: ${result[i].unit.name}`)
           // console.log(firstUnit.power)
           // console.log(result[i].power)
@@ -302,18 +651,17 @@ let _config = function _config(options) {
           i--
         }
         else {
-          foundUnits[result[i].unit.name] = result[i]
+          foundUnits[name] = result[i]
         }
       }
+    }
 
-      // Remove units that have zero power
-      for(let i=0; i<result.length; i++) {
-        if(Math.abs(result[i].power) < 1e-15) {
-          result.splice(i, 1)
-          i--
-        }
+    // Remove units that have zero power
+    for(let i=0; i<result.length; i++) {
+      if(Math.abs(result[i].power) < 1e-15) {
+        result.splice(i, 1)
+        i--
       }
-      
     }
 
     return result
@@ -329,11 +677,32 @@ let _config = function _config(options) {
     if (unit1.value === null || unit1.value === undefined || unit2.value === null || unit2.value === undefined) {
       throw new Error(`Cannot add ${unit1.toString()} and ${unit2.toString()}: both units must have values`)
     }
+    if (_isLogarithmic(unit1.units) || _isLogarithmic(unit2.units)) {
+      return _addLogarithmic(unit1, unit2, 'add')
+    }
     if (!unit1._equalDimension(unit2)) {
       throw new Error(`Cannot add ${unit1.toString()} and ${unit2.toString()}: dimensions do not match`)
     }
+    const kind1 = _offsetKind(unit1, unit2)
+    const kind2 = _offsetKind(unit2, unit1)
+    if (kind1 === 'point' && kind2 === 'point') {
+      const absolute = _isAbsolute(unit1) ? unit1 : (_isAbsolute(unit2) ? unit2 : null)
+      const point = (absolute === unit2) ? unit1 : unit2
+      const reason = absolute
+        ? `${absolute.toString()} is measured from zero and ${point.toString()} from an offset zero point`
+        : 'both units are measured from an offset zero point'
+      const interval = point.units[0].unit.interval
+      throw new Error(`Cannot add ${unit1.toString()} and ${unit2.toString()}: ${reason}, so their sum is meaningless. To add a difference, use an interval unit${interval ? ' such as ' + interval : ''}`)
+    }
+    if (kind1 !== 'point' && kind2 === 'point') {
+      // An interval plus a point is a point, which can only be expressed in the units of the point
+      const result = _clone(unit2)
+      result.value = options.customAdd(unit2.value, _convertDifference(unit1.units, unit2.units, unit1.value))
+      return result
+    }
     const result = _clone(unit1)
-    result.value = _denormalize(unit1.units, options.customAdd(_normalize(unit1.units, unit1.value), _normalize(unit2.units, unit2.value)))
+    const value2 = (kind1 === 'point') ? _convertDifference(unit2.units, unit1.units, unit2.value) : _convert(unit2.units, unit1.units, unit2.value)
+    result.value = options.customAdd(unit1.value, value2)
     return result
   }
 
@@ -347,70 +716,243 @@ let _config = function _config(options) {
     if (unit1.value === null || unit1.value === undefined || unit2.value === null || unit2.value === undefined) {
       throw new Error(`Cannot subtract ${unit1.toString()} and ${unit2.toString()}: both units must have values`)
     }
+    if (_isLogarithmic(unit1.units) || _isLogarithmic(unit2.units)) {
+      return _addLogarithmic(unit1, unit2, 'subtract')
+    }
     if (!unit1._equalDimension(unit2)) {
       throw new Error(`Cannot subtract ${unit1.toString()} and ${unit2.toString()}: dimensions do not match`)
     }
+    const kind1 = _offsetKind(unit1, unit2)
+    const kind2 = _offsetKind(unit2, unit1)
+    if (kind1 !== 'point' && kind2 === 'point') {
+      throw new Error(`Cannot subtract ${unit2.toString()} from ${unit1.toString()}: ${unit2.toString()} is measured from an offset zero point, so it cannot be subtracted from the interval ${unit1.toString()}`)
+    }
+    if (kind1 === 'point' && kind2 === 'point') {
+      // The difference of two points is an interval
+      const difference = options.customSub(unit1.value, _convert(unit2.units, unit1.units, unit2.value))
+      const result = _intervalOf(unit1)
+      result.value = _convertDifference(unit1.units, result.units, difference)
+      return result
+    }
     const result = _clone(unit1)
-    result.value = _denormalize(unit1.units, options.customSub(_normalize(unit1.units, unit1.value), _normalize(unit2.units, unit2.value)))
+    const value2 = (kind1 === 'point') ? _convertDifference(unit2.units, unit1.units, unit2.value) : _convert(unit2.units, unit1.units, unit2.value)
+    result.value = options.customSub(unit1.value, value2)
     return result
   }
 
   /**
-   * Private function _mul
+   * Private function _addLogarithmic adds or subtracts two units when at least one of them is logarithmic, such as dBm.
+   * A dimensionless logarithmic unit, such as 3 dB, is a gain when it is added to a level of another dimension, so 10 dBm plus 3 dB and 3 dB plus 10 dBm are both 13 dBm.
+   * Otherwise, the underlying linear quantities are added or subtracted, so 3 dBm plus 3 dBm is about 6.01 dBm. This is not allowed when the strictLogarithmic option is set.
    * @param {Unit} unit1 The first unit
    * @param {Unit} unit2 The second unit
-   * @returns {Unit} The product of the two units
+   * @param {string} operation 'add' or 'subtract'
+   * @returns {Unit} The result, in the units of the first unit, or of the level when a gain is added to a level
    */
-  function _mul(unit1, unit2) {
-
-    const result = _clone(unit1)
-
-    for (let i = 0; i < unitStore.BASE_DIMENSIONS.length; i++) {
-      // Dimensions arrays may be of different lengths. Default to 0.
-      result.dimensions[i] = unit1.dimensions[i] + unit2.dimensions[i]
-    }
+  function _addLogarithmic(unit1, unit2, operation) {
+    const combine = (operation === 'add') ? options.customAdd : options.customSub
+    const log1 = _isLogarithmic(unit1.units) ? unit1.units[0].unit.logarithmic : null
+    const log2 = _isLogarithmic(unit2.units) ? unit2.units[0].unit.logarithmic : null
 
-    // Append other's units list onto result
-    for (let i = 0; i < unit2.units.length; i++) {
-      // Make a deep copy
-      const inverted = {}
-      for (const key in unit2.units[i]) {
-        inverted[key] = unit2.units[i][key]
+    if (!unit1._equalDimension(unit2)) {
+      if (operation === 'add' && log1 && log2 && log1.decibels && log2.decibels && unit1._hasDimension('NONE')) {
+        // A gain plus a level is the same as the level plus the gain
+        return _addLogarithmic(unit2, unit1, operation)
       }
-      result.units.push(inverted)
+      if (log1 && log2 && log1.decibels && log2.decibels && unit2._hasDimension('NONE')) {
+        // A level plus a gain: convert the gain to decibels, and then to the units of the level
+        const result = _clone(unit1)
+        const gain = options.customDiv(options.customMul(unit2.value, options.customConv(log2.decibels)), options.customConv(log1.decibels))
+        result.value = combine(unit1.value, gain)
+        return result
+      }
+      throw new Error(`Cannot ${operation} ${unit1.toString()} and ${unit2.toString()}: dimensions do not match`)
     }
-
-    result.units = _combineDuplicateUnits(result.units)
-
-    // If at least one operand has a value, then the result should also have a value
-    if (unit1.value !== null || unit2.value !== null) {
-      const val1 = unit1.value === null ? _normalize(unit1.units, 1) : _normalize(unit1.units, unit1.value)
-      const val2 = unit2.value === null ? _normalize(unit2.units, 1) : _normalize(unit2.units, unit2.value)
-      result.value = _denormalize(result.units, options.customMul(val1, val2))
-    } else {
-      result.value = null
+    if (options.strictLogarithmic) {
+      throw new Error(`Cannot ${operation} ${unit1.toString()} and ${unit2.toString()}: logarithmic units cannot be added or subtracted when the strictLogarithmic option is set`)
     }
 
+    // Combine the linear quantities, in the scale of the first unit
+    const linear1 = _toLinear(unit1.units, unit1.value)
+    const linear2 = _convertDifference(unit2.units, unit1.units, _toLinear(unit2.units, unit2.value))
+    const linear = combine(linear1, linear2)
+    if (log1 && !options.customLt(options.customConv(0), linear)) {
+      throw new Error(`Cannot ${operation} ${unit1.toString()} and ${unit2.toString()}: the result is not positive, so it cannot be expressed in ${unit1.units[0].unit.name}`)
+    }
+    const result = _clone(unit1)
+    result.value = _fromLinear(unit1.units, linear)
     return result
   }
 
   /**
-   * Private function _div
+   * Private function _checkLogarithmicProduct throws if two units cannot be multiplied or divided because of a logarithmic unit. A level, such as 10 dBm, cannot be scaled at all, since its value is the logarithm of a quantity. A ratio, such as 3 dB, can be scaled by a linear unit, as in 3 dB / km, but not by another logarithmic unit.
    * @param {Unit} unit1 The first unit
    * @param {Unit} unit2 The second unit
+   * @param {string} operation 'multiply' or 'divide'
    */
-  function _div(unit1, unit2) {
+  function _checkLogarithmicProduct(unit1, unit2, operation) {
+    const log1 = _isLogarithmic(unit1.units)
+    const log2 = _isLogarithmic(unit2.units)
+    if (!log1 && !log2) {
+      return
+    }
+    const level = (log1 && !unit1._hasDimension('NONE')) ? unit1 : ((log2 && !unit2._hasDimension('NONE')) ? unit2 : null)
+    if (level) {
+      throw new Error(`Cannot ${operation} ${unit1.toString()} and ${unit2.toString()}: ${level.toString()} is a logarithmic level, so it cannot be scaled. Convert it to a linear unit first`)
+    }
+    if (log1 && log2) {
+      throw new Error(`Cannot ${operation} ${unit1.toString()} and ${unit2.toString()}: a logarithmic ratio can only be scaled by a linear unit`)
+    }
+  }
 
-    const result = _clone(unit1)
+  /**
+   * Private function _isLogarithmic
+   * @param {unit[]} units The unit pieces
+   * @returns {boolean} True if the units are a single logarithmic unit of power 1, such as dB. Logarithmic units within compound units, as in dB/km, are treated like any other unit.
+   */
+  function _isLogarithmic(units) {
+    return units.length === 1 && units[0].power === 1 && !!units[0].unit.logarithmic
+  }
 
-    for (let i = 0; i < unitStore.BASE_DIMENSIONS.length; i++) {
-      result.dimensions[i] = unit1.dimensions[i] - unit2.dimensions[i]
+  /**
+   * Private function _toLinear converts a value in a logarithmic unit to the linear quantity it represents, in the scale of the unit's value. For example, 20 dB becomes 100, and 20 dBm becomes 100 (in units of 1 mW).
+   * @param {unit[]} units The unit pieces the value is expressed in
+   * @param {number | *} value The value
+   * @returns {number | *} The linear value, or the value itself if the units are not logarithmic
+   */
+  function _toLinear(units, value) {
+    if (!_isLogarithmic(units)) {
+      return value
     }
+    const log = units[0].unit.logarithmic
+    return options.customPow(options.customConv(log.base), options.customDiv(value, options.customConv(log.factor)))
+  }
 
-    // Invert and append other's units list onto result
-    for (let i = 0; i < unit2.units.length; i++) {
-      // Make a deep copy
-      const inverted = {}
+  /**
+   * Private function _fromLinear is the inverse of _toLinear.
+   * @param {unit[]} units The unit pieces to express the value in
+   * @param {number | *} value The linear value
+   * @returns {number | *} The value in the logarithmic unit, or the value itself if the units are not logarithmic
+   * @throws {Error} If the value is not positive, since it has no logarithm
+   */
+  function _fromLinear(units, value) {
+    if (!_isLogarithmic(units)) {
+      return value
+    }
+    const log = units[0].unit.logarithmic
+    if (!options.customLt(options.customConv(0), value)) {
+      throw new Error(`Cannot express ${value} (on the linear scale) in ${units[0].unit.name}: a logarithmic unit can only express a positive quantity`)
+    }
+    const exponent = (log.base === 10)
+      ? options.customLog10(value)
+      : options.customDiv(options.customLog(value), options.customConv(Math.log(log.base)))
+    return options.customMul(options.customConv(log.factor), exponent)
+  }
+
+  /**
+   * Private function _offsetKind tells how a unit behaves when it is added or subtracted. A single unit with an offset, such as degC, is a point on a scale whose zero is offset from the zero of its base unit. An interval unit, such as deltaC, is a difference between two points. Other units, including K, are plain, and are treated as intervals when they are combined with a point, whichever operand comes first.
+   * An absolute unit, such as psia, is also a point when it is combined with a point, such as psig, and is plain otherwise.
+   * @param {Unit} unit The unit
+   * @param {Unit} [other] The unit it is combined with
+   * @returns {string} 'point', 'interval', or 'plain'
+   */
+  function _offsetKind(unit, other) {
+    if (unit.units.length === 0 || _isCompound(unit.units)) {
+      return 'plain'
+    }
+    if (unit.units[0].unit.isInterval) {
+      return 'interval'
+    }
+    if (unit.units[0].unit.isAbsolute) {
+      return (other && _offsetKind(other) === 'point') ? 'point' : 'plain'
+    }
+    return unit.units[0].unit.offset ? 'point' : 'plain'
+  }
+
+  /**
+   * Private function _isAbsolute
+   * @param {Unit} unit The unit
+   * @returns {boolean} True if the unit is a single absolute unit, such as psia
+   */
+  function _isAbsolute(unit) {
+    return unit.units.length === 1 && unit.units[0].power === 1 && !!unit.units[0].unit.isAbsolute
+  }
+
+  /**
+   * Private function _intervalOf returns a valueless unit for the difference of two points measured in the given unit, such as deltaC for degC. If the unit does not name an interval unit, the unit's SI units are used.
+   * @param {Unit} unit A point, such as 20 degC
+   * @returns {Unit} The valueless interval unit
+   */
+  function _intervalOf(unit) {
+    const interval = unit.units[0].unit.interval
+    if (interval) {
+      return new Unit(undefined, interval)
+    }
+    const result = _toSystem(unit, 'si')
+    result.value = null
+    return result
+  }
+
+  /**
+   * Private function _mul
+   * @param {Unit} unit1 The first unit
+   * @param {Unit} unit2 The second unit
+   * @returns {Unit} The product of the two units
+   */
+  function _mul(unit1, unit2) {
+    _checkLogarithmicProduct(unit1, unit2, 'multiply')
+
+    const result = _clone(unit1)
+
+    for (let i = 0; i < unitStore.BASE_DIMENSIONS.length; i++) {
+      // Dimensions arrays may be of different lengths. Default to 0.
+      result.dimensions[i] = (unit1.dimensions[i] || 0) + (unit2.dimensions[i] || 0)
+    }
+
+    // Append other's units list onto result
+    for (let i = 0; i < unit2.units.length; i++) {
+      // Make a deep copy
+      const inverted = {}
+      for (const key in unit2.units[i]) {
+        inverted[key] = unit2.units[i][key]
+      }
+      result.units.push(inverted)
+    }
+
+    const unitsBeforeCombining = result.units
+    result.units = _combineDuplicateUnits(result.units)
+
+    // If at least one operand has a value, then the result should also have a value
+    if (unit1.value !== null || unit2.value !== null) {
+      const val1 = unit1.value === null ? options.customConv(1) : unit1.value
+      const val2 = unit2.value === null ? options.customConv(1) : unit2.value
+      // Combining duplicate units never changes the zero point, so only the conversion factor applies
+      result.value = _convertDifference(unitsBeforeCombining, result.units, options.customMul(val1, val2))
+    } else {
+      result.value = null
+    }
+
+    return result
+  }
+
+  /**
+   * Private function _div
+   * @param {Unit} unit1 The first unit
+   * @param {Unit} unit2 The second unit
+   */
+  function _div(unit1, unit2) {
+    _checkLogarithmicProduct(unit1, unit2, 'divide')
+
+    const result = _clone(unit1)
+
+    for (let i = 0; i < unitStore.BASE_DIMENSIONS.length; i++) {
+      result.dimensions[i] = (unit1.dimensions[i] || 0) - (unit2.dimensions[i] || 0)
+    }
+
+    // Invert and append other's units list onto result
+    for (let i = 0; i < unit2.units.length; i++) {
+      // Make a deep copy
+      const inverted = {}
       for (const key in unit2.units[i]) {
         inverted[key] = unit2.units[i][key]
       }
@@ -418,13 +960,15 @@ let _config = function _config(options) {
       result.units.push(inverted)
     }
 
+    const unitsBeforeCombining = result.units
     result.units = _combineDuplicateUnits(result.units)
 
     // If at least one operand has a value, the result should have a value
     if (unit1.value !== null || unit2.value !== null) {
-      const val1 = unit1.value === null ? _normalize(unit1.units, 1) : _normalize(unit1.units, unit1.value)
-      const val2 = unit2.value === null ? _normalize(unit2.units, 1) : _normalize(unit2.units, unit2.value)
-      result.value = _denormalize(result.units, options.customDiv(val1, val2))
+      const val1 = unit1.value === null ? options.customConv(1) : unit1.value
+      const val2 = unit2.value === null ? options.customConv(1) : unit2.value
+      // Combining duplicate units never changes the zero point, so only the conversion factor applies
+      result.value = _convertDifference(unitsBeforeCombining, result.units, options.customDiv(val1, val2))
     } else {
       result.value = null
     }
@@ -438,9 +982,12 @@ let _config = function _config(options) {
    * @param {number|custom} p The exponent
    */
   function _pow(unit, p) {
+    if (_isLogarithmic(unit.units)) {
+      throw new Error(`Cannot raise ${unit.toString()} to a power: the value of a logarithmic unit is the logarithm of a quantity. Convert it to a linear unit first`)
+    }
     const result = _clone(unit)
     for (let i = 0; i < unitStore.BASE_DIMENSIONS.length; i++) {
-      result.dimensions[i] = options.customMul(unit.dimensions[i], p)
+      result.dimensions[i] = options.customMul(unit.dimensions[i] || 0, p)
     }
 
     // Adjust the power of each unit in the list
@@ -461,82 +1008,294 @@ let _config = function _config(options) {
     return _pow(unit, options.customConv(0.5))
   }
 
-
   /**
-   * Normalize a value, based on an array of unit pieces
-   * @param {unit[]} unitPieces
-   * @param {number | *} value
-   * @return {number | *} normalized value
-   * @private
+   * Private function _nthRoot
+   * @param {Unit} unit The unit
+   * @param {number} n The root
    */
-  function _normalize(unitPieces, value) {
-    let unitValue, unitOffset, unitPower, unitPrefixValue
+  function _nthRoot(unit, n) {
+    if (typeof n !== 'number' || n === 0 || !isFinite(n)) {
+      throw new TypeError(`The root must be a non-zero number (got ${n})`)
+    }
+    if (_isLogarithmic(unit.units)) {
+      throw new Error(`Cannot take root ${n} of ${unit.toString()}: the value of a logarithmic unit is the logarithm of a quantity. Convert it to a linear unit first`)
+    }
+    const result = _clone(unit)
+    for (let i = 0; i < unitStore.BASE_DIMENSIONS.length; i++) {
+      result.dimensions[i] = (unit.dimensions[i] || 0) / n
+    }
 
-    if (value === null || value === undefined || unitPieces.length === 0) {
-      return value
-    } else if (_isCompound(unitPieces)) {
-      // units is a compound unit, so do not apply offsets.
-      // For example, with J kg^-1 degC^-1 you would NOT want to apply the offset.
-      let result = value
+    // Divide rather than multiply by 1/n, so that m^3 becomes exactly m
+    for (let i = 0; i < result.units.length; i++) {
+      result.units[i].power = result.units[i].power / n
+    }
 
-      for (let i = 0; i < unitPieces.length; i++) {
-        unitValue = options.customConv(unitPieces[i].unit.value)
-        unitPrefixValue = options.customConv(unitPieces[i].prefix.value)
-        unitPower = options.customConv(unitPieces[i].power)
-        result = options.customMul(result, options.customPow(options.customMul(unitValue, unitPrefixValue), unitPower))
+    if (result.value !== null) {
+      const zero = options.customConv(0)
+      const p = options.customDiv(options.customConv(1), options.customConv(n))
+      if (options.customLt(unit.value, zero)) {
+        if (n % 2 !== 1 && n % 2 !== -1) {
+          throw new Error(`Cannot take root ${n} of ${unit.toString()}: the root of a negative value must be odd`)
+        }
+        result.value = options.customSub(zero, options.customPow(options.customSub(zero, unit.value), p))
+      } else {
+        result.value = options.customPow(unit.value, p)
       }
+    }
 
-      return result
-    } else {
-      // units is a single unit of power 1, like kg or degC
-      unitValue = options.customConv(unitPieces[0].unit.value)
-      unitOffset = options.customConv(unitPieces[0].unit.offset)
-      unitPrefixValue = options.customConv(unitPieces[0].prefix.value)
+    return result
+  }
 
-      return options.customMul(options.customAdd(value, unitOffset), options.customMul(unitValue, unitPrefixValue))
+  /**
+   * Private function _abs
+   * @param {Unit} unit The unit
+   */
+  function _abs(unit) {
+    const result = _clone(unit)
+    if (result.value !== null) {
+      const zero = options.customConv(0)
+      result.value = options.customLt(unit.value, zero) ? options.customSub(zero, unit.value) : options.customClone(unit.value)
     }
+    return result
   }
 
   /**
-   * Denormalize a value, based on an array of atomic units
-   * @param {unit[]} unitPieces Array of atomic units (as in, Unit.units)
-   * @param {number} value
-   * @param {number} [prefixValue]    Optional prefix value to be used (ignored if this is a derived unit)
-   * @return {number} denormalized value
-   * @private
+   * Private function _neg
+   * @param {Unit} unit The unit
    */
-  function _denormalize(unitPieces, value, prefixValue) {
-    let unitValue, unitOffset, unitPower, unitPrefixValue
+  function _neg(unit) {
+    const result = _clone(unit)
+    if (result.value !== null) {
+      result.value = options.customSub(options.customConv(0), unit.value)
+    }
+    return result
+  }
 
-    if (value === null || value === undefined || unitPieces.length === 0) {
-      return value
-    } else if (_isCompound(unitPieces)) {
-      // unit is a compound unit, so do not apply offsets.
-      // For example, with J kg^-1 degC^-1 you would NOT want to apply the offset.
-      // Also, prefixValue is ignored--but we will still use the prefix value stored in each unit, since kg is usually preferable to g unless the user decides otherwise.
-      let result = value
+  /**
+   * Private function _round
+   * @param {Unit} unit The unit to round
+   * @param {Unit|string|number} [increment] The increment, or the number of decimal places
+   * @param {Function} roundFn The function that rounds a value to an integer, such as `customRound`
+   * @param {string} name The name of the operation, used in error messages
+   * @returns {Unit} The rounded unit
+   */
+  function _round(unit, increment, roundFn, name) {
+    if (unit.value === null || unit.value === undefined) {
+      throw new Error(`Cannot ${name} ${unit.toString()}: the unit has no value`)
+    }
+    const result = _clone(unit)
 
-      for (let i = 0; i < unitPieces.length; i++) {
-        unitValue = options.customConv(unitPieces[i].unit.value)
-        unitPrefixValue = options.customConv(unitPieces[i].prefix.value)
-        unitPower = options.customConv(unitPieces[i].power)
-        result = options.customDiv(result, options.customPow(options.customMul(unitValue, unitPrefixValue), unitPower))
+    if (increment === undefined || typeof increment === 'number') {
+      const decimals = increment || 0
+      if (Math.round(decimals) !== decimals) {
+        throw new TypeError(`The number of decimal places must be an integer (got ${decimals})`)
       }
-
+      // Divide by a power of ten rather than multiply by a negative power of ten, which is not exact
+      const scale = options.customPow(options.customConv(10), options.customConv(Math.abs(decimals)))
+      result.value = (decimals >= 0)
+        ? options.customDiv(roundFn(options.customMul(unit.value, scale)), scale)
+        : options.customMul(roundFn(options.customDiv(unit.value, scale)), scale)
       return result
-    } else {
-      // unit is a single unit of power 1, like kg or degC
+    }
+
+    const incrementUnit = _convertParamToUnit(increment)
+    if (incrementUnit.value === null || !unit._equalDimension(incrementUnit)) {
+      throw new Error(`Cannot ${name} ${unit.toString()} to a multiple of ${incrementUnit.toString()}: dimensions do not match`)
+    }
+    const step = _convertDifference(incrementUnit.units, unit.units, incrementUnit.value)
+    if (!options.customLt(options.customConv(0), step)) {
+      throw new Error(`Cannot ${name} ${unit.toString()} to a multiple of ${incrementUnit.toString()}: the increment must be positive`)
+    }
+    result.value = options.customMul(roundFn(options.customDiv(unit.value, step)), step)
+    return result
+  }
+
+  /**
+   * Private function _trig applies a trigonometric function to an angle, after converting it to radians
+   * @param {Unit} unit The angle
+   * @param {Function} fn The trigonometric function, such as `customSin`
+   * @param {string} name The name of the function, used in error messages
+   * @returns {Unit} A dimensionless unit
+   */
+  function _trig(unit, fn, name) {
+    if (!unit._hasDimension('ANGLE')) {
+      throw new Error(`Cannot take the ${name} of ${unit.toString()}: the unit must be an angle, such as rad or deg`)
+    }
+    if (unit.value === null || unit.value === undefined) {
+      throw new Error(`Cannot take the ${name} of ${unit.toString()}: the unit has no value`)
+    }
+    const radians = _convert(unit.units, new Unit(undefined, 'rad').units, unit.value)
+    return new Unit(fn(radians), '')
+  }
+
+  /**
+   * Private function _inverseTrig applies an inverse trigonometric function to a dimensionless unit
+   * @param {Unit} unit The dimensionless unit
+   * @param {Function} fn The inverse trigonometric function, such as `customAsin`
+   * @param {string} name The name of the function, used in error messages
+   * @returns {Unit} An angle in radians
+   */
+  function _inverseTrig(unit, fn, name) {
+    return new Unit(fn(_dimensionlessValue(unit, name)), 'rad')
+  }
+
+  /**
+   * Private function _dimensionlessFn applies a function, such as exp or log, to a dimensionless unit
+   * @param {Unit} unit The dimensionless unit. A ratio such as cm/m is converted to a pure number first.
+   * @param {Function} fn The function, such as `customExp`
+   * @param {string} name The name of the function, used in error messages
+   * @returns {Unit} A dimensionless unit
+   */
+  function _dimensionlessFn(unit, fn, name) {
+    return new Unit(fn(_dimensionlessValue(unit, name)), '')
+  }
+
+  /**
+   * Private function _dimensionlessValue returns the value of a dimensionless unit as a pure number, so that 50 cm/m becomes 0.5
+   * @param {Unit} unit The dimensionless unit
+   * @param {string} name The name of the function that needs the value, used in error messages
+   * @returns {number | *} The pure number
+   */
+  function _dimensionlessValue(unit, name) {
+    if (!unit._hasDimension('NONE')) {
+      throw new Error(`Cannot take the ${name} of ${unit.toString()}: the unit must be dimensionless`)
+    }
+    if (unit.value === null || unit.value === undefined) {
+      throw new Error(`Cannot take the ${name} of ${unit.toString()}: the unit has no value`)
+    }
+    return _convert(unit.units, [], unit.value)
+  }
+
+  /**
+   * Private function _atan2
+   * @param {Unit} y The y coordinate
+   * @param {Unit} x The x coordinate, which must have the same dimension as y
+   * @returns {Unit} An angle in radians
+   */
+  function _atan2(y, x) {
+    if (!y._equalDimension(x)) {
+      throw new Error(`Cannot take atan2 of ${y.toString()} and ${x.toString()}: dimensions do not match`)
+    }
+    if (y.value === null || y.value === undefined || x.value === null || x.value === undefined) {
+      throw new Error(`Cannot take atan2 of ${y.toString()} and ${x.toString()}: both units must have values`)
+    }
+    return new Unit(options.customAtan2(y.value, _convert(x.units, y.units, x.value)), 'rad')
+  }
+
+  /**
+   * Private function _inv
+   * @param {Unit} unit The unit
+   */
+  function _inv(unit) {
+    const result = _clone(unit)
+    for (let i = 0; i < unitStore.BASE_DIMENSIONS.length; i++) {
+      // Avoid -0, which would make equal dimensions look different to deepStrictEqual
+      result.dimensions[i] = unit.dimensions[i] ? -unit.dimensions[i] : 0
+    }
+    for (let i = 0; i < result.units.length; i++) {
+      result.units[i].power = -result.units[i].power
+    }
+    if (result.value !== null) {
+      result.value = options.customDiv(options.customConv(1), unit.value)
+    }
+    return result
+  }
 
-      unitValue = options.customConv(unitPieces[0].unit.value)
-      unitPrefixValue = options.customConv(unitPieces[0].prefix.value)
-      unitOffset = options.customConv(unitPieces[0].unit.offset)
 
-      if (prefixValue === undefined || prefixValue === null) {
-        return options.customSub(options.customDiv(options.customDiv(value, unitValue), unitPrefixValue), unitOffset)
+  /**
+   * Private function _conversionFactor returns the factor that converts a value from one array of unit pieces to another. Unit pieces that appear in both arrays cancel before any arithmetic is done, so that the factor is as exact as possible.
+   * @param {unit[]} fromUnits The unit pieces to convert from
+   * @param {unit[]} toUnits The unit pieces to convert to
+   * @returns {number | * | null} The conversion factor, or null if the factor is exactly 1
+   */
+  function _conversionFactor(fromUnits, toUnits) {
+    // Net power of each unit and prefix combination
+    const pieces = {}
+    const add = (piece, sign) => {
+      const key = piece.unit.name + ' ' + piece.prefix.name
+      if (!pieces.hasOwnProperty(key)) {
+        pieces[key] = { unit: piece.unit, prefix: piece.prefix, power: 0 }
+      }
+      pieces[key].power += sign * piece.power
+    }
+    fromUnits.forEach(piece => add(piece, 1))
+    toUnits.forEach(piece => add(piece, -1))
+
+    // Multiply the numerator and denominator separately, and divide only once at the end
+    let num = null
+    let den = null
+    for (const key in pieces) {
+      const piece = pieces[key]
+      if (!pieces.hasOwnProperty(key) || Math.abs(piece.power) < 1e-15) {
+        continue
+      }
+      const pieceValue = options.customMul(options.customConv(piece.unit.value), options.customConv(piece.prefix.value))
+      const absPower = Math.abs(piece.power)
+      const pieceFactor = absPower === 1 ? pieceValue : options.customPow(pieceValue, options.customConv(absPower))
+      if (piece.power > 0) {
+        num = num === null ? pieceFactor : options.customMul(num, pieceFactor)
       } else {
-        return options.customSub(options.customDiv(options.customDiv(value, unitValue), prefixValue), unitOffset)
+        den = den === null ? pieceFactor : options.customMul(den, pieceFactor)
+      }
+    }
+
+    if (den === null) {
+      return num
+    }
+    return options.customDiv(num === null ? options.customConv(1) : num, den)
+  }
+
+  /**
+   * Private function _convert converts a value from one array of unit pieces to another, which must have the same dimension. Offsets (as in degC) and logarithmic scales (as in dBm) are only applied to single units of power 1, so a compound unit like J / kg degC does not use them.
+   * @param {unit[]} fromUnits The unit pieces the value is expressed in
+   * @param {unit[]} toUnits The unit pieces to convert the value to
+   * @param {number | *} value The value to convert
+   * @returns {number | *} The converted value
+   */
+  function _convert(fromUnits, toUnits, value) {
+    if (value === null || value === undefined) {
+      return value
+    }
+
+    if (_isLogarithmic(fromUnits) || _isLogarithmic(toUnits)) {
+      if (fromUnits.length === 1 && toUnits.length === 1 && fromUnits[0].unit === toUnits[0].unit && fromUnits[0].prefix === toUnits[0].prefix && fromUnits[0].power === toUnits[0].power) {
+        return value
       }
+      // Logarithmic units have no offset, so convert through the linear quantity
+      return _fromLinear(toUnits, _convertDifference(fromUnits, toUnits, _toLinear(fromUnits, value)))
+    }
+
+    let fromOffset = (fromUnits.length === 0 || _isCompound(fromUnits)) ? 0 : fromUnits[0].unit.offset
+    let toOffset = (toUnits.length === 0 || _isCompound(toUnits)) ? 0 : toUnits[0].unit.offset
+    if (fromOffset !== 0 && toOffset !== 0 && fromUnits[0].unit === toUnits[0].unit) {
+      // The offsets would cancel
+      fromOffset = toOffset = 0
+    }
+
+    let result = value
+    if (fromOffset !== 0) {
+      result = options.customAdd(result, options.customConv(fromOffset))
+    }
+    const factor = _conversionFactor(fromUnits, toUnits)
+    if (factor !== null) {
+      result = options.customMul(result, factor)
+    }
+    if (toOffset !== 0) {
+      result = options.customSub(result, options.customConv(toOffset))
     }
+    return result
+  }
+
+  /**
+   * Private function _convertDifference converts a difference between two values, such as a tolerance or an interval, from one array of unit pieces to another. Unlike _convert, offsets are never applied, so 1 degC converts to 1.8 degF.
+   * @param {unit[]} fromUnits The unit pieces the difference is expressed in
+   * @param {unit[]} toUnits The unit pieces to convert the difference to
+   * @param {number | *} value The difference to convert
+   * @returns {number | *} The converted difference
+   */
+  function _convertDifference(fromUnits, toUnits, value) {
+    const factor = _conversionFactor(fromUnits, toUnits)
+    return factor === null ? value : options.customMul(value, factor)
   }
 
   /**
@@ -544,44 +1303,142 @@ let _config = function _config(options) {
    * @param {Unit} unit The unit to convert.
    * @param {Unit} valuelessUnit The valueless unit to convert it to.
    */
-  function _to(unit, valuelessUnit) {
+  function _to(unit, valuelessUnit, toOptions) {
     let result
-    const value = unit.value === null ? _normalize(unit.units, 1) : unit.value
+    const value = unit.value === null ? options.customConv(1) : unit.value
 
     if (!unit._equalDimension(valuelessUnit)) {
+      if (toOptions && toOptions.allowReciprocal && _isReciprocalDimension(unit, valuelessUnit)) {
+        return _toReciprocal(unit, valuelessUnit)
+      }
+      if (toOptions && toOptions.equivalencies) {
+        const equivalent = _toEquivalent(unit, valuelessUnit, toOptions.equivalencies)
+        if (equivalent) {
+          return equivalent
+        }
+      }
       throw new TypeError(`Cannot convert ${unit.toString()} to ${valuelessUnit}: dimensions do not match)`)
     }
     if (valuelessUnit.value !== null) {
       throw new Error(`Cannot convert ${unit.toString()}: target unit must be valueless`)
     }
     result = _clone(valuelessUnit)
-    result.value = options.customClone(_denormalize(result.units, _normalize(unit.units, value)))
+    result.value = options.customClone(_convert(unit.units, result.units, value))
+    // The user asked for these units, so do not choose a different prefix when formatting
+    result.fixPrefix = true
     return result
   }
 
   /**
-   * Private function _toSI
-   * @param {Unit} unit The unit to convert to SI.
+   * Private function _toReciprocal
+   * @param {Unit} unit The unit to invert and convert.
+   * @param {Unit} valuelessUnit The valueless unit to convert it to, whose dimensions are the inverse of the unit's.
+   */
+  function _toReciprocal(unit, valuelessUnit) {
+    if (!_isReciprocalDimension(unit, valuelessUnit)) {
+      throw new TypeError(`Cannot convert ${unit.toString()} to the reciprocal unit ${valuelessUnit}: dimensions are not inverses of each other`)
+    }
+    const inverse = _inv(unit)
+    if (inverse.value === null) {
+      // A valueless unit converts as if its value were 1
+      inverse.value = options.customConv(1)
+    }
+    return _to(inverse, valuelessUnit)
+  }
+
+  /**
+   * Private function _toEquivalent converts a unit using the first matching pair of units in the given equivalencies.
+   * @param {Unit} unit The unit to convert.
+   * @param {Unit} valuelessUnit The valueless unit to convert it to.
+   * @param {string[]} names The names of the equivalencies to search, such as `['spectral']`.
+   * @returns {Unit|null} The converted unit, or null if no pair of units matches the dimensions.
    */
-  function _toSI(unit) {
+  function _toEquivalent(unit, valuelessUnit, names) {
+    if (!Array.isArray(names)) {
+      names = [names]
+    }
+    const value = unit.value === null ? options.customConv(1) : unit.value
+    // The numeric functions of the namespace, so that equivalencies work with custom value types, and the values of the constants in SI units
+    const math = {
+      add: options.customAdd,
+      sub: options.customSub,
+      mul: options.customMul,
+      div: options.customDiv,
+      pow: options.customPow,
+      conv: options.customConv,
+      constants: {}
+    }
+    for (const name in unitStore.CONSTANTS) {
+      if (unitStore.CONSTANTS.hasOwnProperty(name)) {
+        math.constants[name] = options.customConv(unitStore.CONSTANTS[name].value)
+      }
+    }
+
+    for (let i = 0; i < names.length; i++) {
+      if (!options.equivalencies.hasOwnProperty(names[i])) {
+        throw new Error(`Unknown equivalency "${names[i]}". Available equivalencies are: ${Object.keys(options.equivalencies).join(', ')}`)
+      }
+      const pairs = options.equivalencies[names[i]]
+      for (let j = 0; j < pairs.length; j++) {
+        const [from, to, forward, backward] = pairs[j]
+        const fromUnit = _convertParamToUnit(from)
+        const toUnit = _convertParamToUnit(to)
+        let converted = null
+        if (unit._equalDimension(fromUnit) && valuelessUnit._equalDimension(toUnit)) {
+          converted = _clone(toUnit)
+          converted.value = forward(_convert(unit.units, fromUnit.units, value), math)
+        } else if (unit._equalDimension(toUnit) && valuelessUnit._equalDimension(fromUnit)) {
+          converted = _clone(fromUnit)
+          converted.value = backward(_convert(unit.units, toUnit.units, value), math)
+        }
+        if (converted) {
+          return _to(converted, valuelessUnit)
+        }
+      }
+    }
+    return null
+  }
+
+  /**
+   * Private function _isReciprocalDimension
+   * @param {Unit} unit1 The first unit
+   * @param {Unit} unit2 The second unit
+   * @returns {boolean} True if the dimensions of the two units are exactly the inverse of each other, as for Hz and s
+   */
+  function _isReciprocalDimension(unit1, unit2) {
+    for (let i = 0; i < unitStore.BASE_DIMENSIONS.length; i++) {
+      if (Math.abs((unit1.dimensions[i] || 0) + (unit2.dimensions[i] || 0)) > 1e-12) {
+        return false
+      }
+    }
+    return true
+  }
+
+  /**
+   * Private function _toSystem
+   * @param {Unit} unit The unit to convert.
+   * @param {string} systemName The name of the unit system, such as `'si'` or `'us'`.
+   */
+  function _toSystem(unit, systemName) {
+    const system = _getUnitSystem(systemName, unit)
     const result = _clone(unit)
 
     const proposedUnitList = []
 
     // Multiple units or units with powers are formatted like this:
     // 5 (kg m^2) / (s^3 mol)
-    // Build an representation from the base units of the SI unit system
+    // Build an representation from the base units of the unit system
     for (let i = 0; i < unitStore.BASE_DIMENSIONS.length; i++) {
       const baseDim = unitStore.BASE_DIMENSIONS[i]
       if (Math.abs(result.dimensions[i] || 0) > 1e-12) {
-        if (unitStore.UNIT_SYSTEMS['si'].hasOwnProperty(baseDim)) {
+        if (system.hasOwnProperty(baseDim)) {
           proposedUnitList.push({
-            unit: unitStore.UNIT_SYSTEMS['si'][baseDim].unit,
-            prefix: unitStore.UNIT_SYSTEMS['si'][baseDim].prefix,
+            unit: system[baseDim].unit,
+            prefix: system[baseDim].prefix,
             power: result.dimensions[i] || 0
           })
         } else {
-          throw new Error('Cannot express custom unit ' + baseDim + ' in SI units')
+          throw new Error(`Cannot express custom unit ${baseDim} in ${systemName} units`)
         }
       }
     }
@@ -589,7 +1446,177 @@ let _config = function _config(options) {
     // Replace this unit list with the proposed list
     result.units = proposedUnitList
     if (unit.value !== null)
-      result.value = options.customClone(_denormalize(result.units, _normalize(unit.units, unit.value)))
+      result.value = options.customClone(_convert(unit.units, result.units, unit.value))
+
+    return result
+  }
+
+  /**
+   * Private function _split
+   * @param {Unit} unit The unit to split.
+   * @param {Array<string|Unit>} parts The valueless units to split into, from largest to smallest.
+   * @param {Object} [splitOptions] Options, such as `round`.
+   * @returns {Unit[]} An array of units, one for each part.
+   */
+  function _split(unit, parts, splitOptions) {
+    if (!Array.isArray(parts)) {
+      throw new TypeError('Parts must be an array of units or strings')
+    }
+    if (unit.value === null) {
+      throw new Error(`Cannot split ${unit.toString()}: unit must have a value`)
+    }
+    if (typeof unit.value !== 'number') {
+      throw new TypeError(`Cannot split ${unit.toString()}: only units with number values can be split`)
+    }
+    const round = splitOptions && splitOptions.round
+    parts = parts.map(part => _convertParamToUnit(part))
+
+    if (parts.length === 0) {
+      return [_clone(unit)]
+    }
+
+    // Values this close to a whole number are treated as whole, so that round-off error does not give 11.999999999999998 in
+    const isNearlyWhole = value => Math.abs(value - Math.round(value)) <= 1e-12 * Math.max(1, Math.abs(value))
+
+    const result = []
+    let remainder = unit
+    for (let i = 0; i < parts.length; i++) {
+      remainder = _to(remainder, parts[i])
+      if (i === parts.length - 1) {
+        break
+      }
+      const whole = isNearlyWhole(remainder.value) ? Math.round(remainder.value) : Math.trunc(remainder.value)
+      const piece = _clone(remainder)
+      piece.value = whole
+      result.push(piece)
+      remainder.value = isNearlyWhole(remainder.value) ? 0 : remainder.value - whole
+    }
+    if (isNearlyWhole(remainder.value)) {
+      remainder.value = Math.round(remainder.value)
+    }
+    result.push(remainder)
+
+    if (round !== undefined) {
+      const factor = Math.pow(10, round)
+      const roundLast = () => {
+        const last = result[result.length - 1]
+        last.value = Math.round(last.value * factor) / factor
+      }
+      roundLast()
+
+      // Carry over parts that have reached a whole unit of the part before them
+      for (let i = result.length - 1; i > 0; i--) {
+        const limit = _convert(result[i - 1].units, result[i].units, 1)
+        if (Math.abs(result[i].value) >= limit * (1 - 1e-12)) {
+          const sign = result[i].value < 0 ? -1 : 1
+          result[i].value -= sign * limit
+          result[i - 1].value += sign
+          if (i === result.length - 1) {
+            roundLast()
+          } else if (isNearlyWhole(result[i].value)) {
+            result[i].value = Math.round(result[i].value)
+          }
+        }
+      }
+    }
+
+    // Avoid -0
+    result.forEach(piece => { piece.value = piece.value + 0 })
+
+    return result
+  }
+
+  /**
+   * Private function _getUnitSystem
+   * @param {string} systemName The name of the unit system, such as `'si'` or `'us'`.
+   * @param {Unit} [unit] The unit that will be expressed in the unit system. The `'auto'` unit system prefers the units that this unit is already made of.
+   * @returns {Object} The unit system, which maps each dimension to a unit and prefix.
+   */
+  function _getUnitSystem(systemName, unit) {
+    if (typeof systemName !== 'string' || !unitStore.UNIT_SYSTEMS.hasOwnProperty(systemName)) {
+      throw new Error(`Unknown unit system "${systemName}". Available unit systems are: ${Object.keys(unitStore.UNIT_SYSTEMS).join(', ')}`)
+    }
+    if (systemName === 'auto' && unit) {
+      return _autoUnitSystem(unit)
+    }
+    return unitStore.UNIT_SYSTEMS[systemName]
+  }
+
+  /**
+   * Private function _autoUnitSystem
+   * Builds the auto unit system for a single unit, so that the result depends only on the unit itself and not on any other units that have been parsed.
+   * @param {Unit} unit The unit whose own units are preferred.
+   * @returns {Object} A copy of the auto unit system, in which the dimension of each of the unit's units is mapped to that unit.
+   */
+  function _autoUnitSystem(unit) {
+    const system = Object.assign({}, unitStore.UNIT_SYSTEMS.auto)
+    // Loop backwards, so that when two units have the same dimension, the one that appears first wins
+    for (let i = unit.units.length - 1; i >= 0; i--) {
+      const piece = unit.units[i]
+      // A logarithmic unit cannot express a dimension within a compound unit
+      if (piece.unit.base && !piece.unit.logarithmic) {
+        system[piece.unit.base.key] = {
+          unit: piece.unit,
+          prefix: piece.prefix
+        }
+      }
+    }
+    return system
+  }
+
+  /**
+   * Private function _simplify
+   * @param {Unit} unit The unit to simplify.
+   * @param {Object} system The unit system to use, such as unitStore.UNIT_SYSTEMS.si.
+   */
+  function _simplify(unit, system) {
+    const result = _clone(unit)
+
+    let proposedUnitList = []
+
+    // Search for a matching derived or base dimension
+    let matchingDim
+    for (const key in system) {
+      if (system.hasOwnProperty(key) && key !== 'NONE' && unit._hasDimension(key)) {
+        matchingDim = key
+        break
+      }
+    }
+
+    if (matchingDim) {
+      proposedUnitList.push({
+        unit: system[matchingDim].unit,
+        prefix: system[matchingDim].prefix,
+        power: 1.0
+      })
+    } else {
+      // Build a representation from the base units of the unit system
+      for (let i = 0; i < unitStore.BASE_DIMENSIONS.length; i++) {
+        const baseDim = unitStore.BASE_DIMENSIONS[i]
+        if (Math.abs(result.dimensions[i] || 0) > 1e-12) {
+          if (!system.hasOwnProperty(baseDim)) {
+            // The unit cannot be expressed in this unit system, so leave it alone
+            return result
+          }
+          proposedUnitList.push({
+            unit: system[baseDim].unit,
+            prefix: system[baseDim].prefix,
+            power: result.dimensions[i] || 0
+          })
+        }
+      }
+
+      // Is the proposed unit list simpler than the existing one?
+      if (proposedUnitList.length >= unit.units.length && proposedUnitList.length > 0) {
+        return result
+      }
+    }
+
+    // Replace this unit list with the proposed list
+    result.units = proposedUnitList
+    if (unit.value !== null) {
+      result.value = options.customClone(_convert(unit.units, result.units, unit.value))
+    }
 
     return result
   }
@@ -644,7 +1671,7 @@ let _config = function _config(options) {
   Unit.prototype._equalDimension = function (other) {
     // All dimensions must be the same
     for (let i = 0; i < unitStore.BASE_DIMENSIONS.length; i++) {
-      if (Math.abs(this.dimensions[i] - other.dimensions[i]) > 1e-12) {
+      if (Math.abs((this.dimensions[i] || 0) - (other.dimensions[i] || 0)) > 1e-12) {
         return false
       }
     }
@@ -659,7 +1686,321 @@ let _config = function _config(options) {
    */
   Unit.prototype.equals = function (other) {
     other = _convertParamToUnit(other)
-    return this._equalDimension(other) && options.customEq(_normalize(this.units, this.value), _normalize(other.units, other.value))
+    return this._equalDimension(other) && options.customEq(this.value, _convert(other.units, this.units, other.value))
+  }
+
+  /**
+   * Check if this unit is approximately equal to another unit, within a tolerance. The units are equal if the difference between them is no more than the larger of the relative and absolute tolerances.
+   * @memberof Unit
+   * @param {Unit|string|number} other The unit to compare with.
+   * @param {Object} [toleranceOptions] The tolerance, which overrides the `tolerance` option of the namespace.
+   * @param {number} [toleranceOptions.rel] The relative tolerance, as a fraction of the larger of the two values.
+   * @param {number|Unit|string} [toleranceOptions.abs] The absolute tolerance. This may be a unit such as `'1 mm'`, or a number in the units of this unit.
+   * @return {boolean} True if both units have the same dimension and are equal within the tolerance.
+   */
+  Unit.prototype.approxEquals = function (other, toleranceOptions) {
+    other = _convertParamToUnit(other)
+    return _approxEquals(this, other, toleranceOptions)
+  }
+
+  /**
+   * Private function _approxEquals
+   * @param {Unit} unit1 The first unit
+   * @param {Unit} unit2 The second unit
+   * @param {Object} [toleranceOptions] The tolerance, with the properties `rel` and `abs`.
+   * @returns {boolean} True if the units are equal within the tolerance.
+   */
+  function _approxEquals(unit1, unit2, toleranceOptions) {
+    if (unit1.value === null || unit1.value === undefined || unit2.value === null || unit2.value === undefined) {
+      throw new Error(`Cannot compare ${unit1.toString()} and ${unit2.toString()}: both units must have values`)
+    }
+    if (!unit1._equalDimension(unit2)) {
+      return false
+    }
+
+    const tolerance = Object.assign({ rel: 0, abs: 0 }, options.tolerance, toleranceOptions)
+    const zero = options.customConv(0)
+    const absValue = a => options.customLt(a, zero) ? options.customSub(zero, a) : a
+    const maxValue = (a, b) => options.customLt(a, b) ? b : a
+
+    let abs
+    if (typeof tolerance.abs === 'number') {
+      abs = options.customConv(tolerance.abs)
+    } else {
+      const absUnit = _convertParamToUnit(tolerance.abs)
+      if (absUnit.value === null || !unit1._equalDimension(absUnit)) {
+        throw new Error(`Cannot use ${absUnit.toString()} as a tolerance for ${unit1.toString()}: dimensions do not match`)
+      }
+      abs = _convertDifference(absUnit.units, unit1.units, absUnit.value)
+    }
+
+    const a = unit1.value
+    const b = _convert(unit2.units, unit1.units, unit2.value)
+    const diff = absValue(options.customSub(a, b))
+    const rel = options.customMul(options.customConv(tolerance.rel), maxValue(absValue(a), absValue(b)))
+    return !options.customLt(maxValue(rel, absValue(abs)), diff)
+  }
+
+  /**
+   * Compare this unit with another unit of the same dimension.
+   * @memberof Unit
+   * @param {Unit|string|number} other The unit to compare with.
+   * @returns {number} -1 if this unit is less than the other, 1 if it is greater, or 0 if neither is true.
+   */
+  Unit.prototype.compare = function (other) {
+    other = _convertParamToUnit(other)
+    return _compare(this, other)
+  }
+
+  /**
+   * Test whether this unit is less than another unit of the same dimension.
+   * @memberof Unit
+   * @param {Unit|string|number} other The unit to compare with.
+   * @returns {boolean} True if this unit is less than the other.
+   */
+  Unit.prototype.lt = function (other) {
+    return this.compare(other) < 0
+  }
+
+  /**
+   * Test whether this unit is less than or equal to another unit of the same dimension.
+   * @memberof Unit
+   * @param {Unit|string|number} other The unit to compare with.
+   * @returns {boolean} True if this unit is less than or equal to the other.
+   */
+  Unit.prototype.lte = function (other) {
+    return this.compare(other) <= 0
+  }
+
+  /**
+   * Test whether this unit is greater than another unit of the same dimension.
+   * @memberof Unit
+   * @param {Unit|string|number} other The unit to compare with.
+   * @returns {boolean} True if this unit is greater than the other.
+   */
+  Unit.prototype.gt = function (other) {
+    return this.compare(other) > 0
+  }
+
+  /**
+   * Test whether this unit is greater than or equal to another unit of the same dimension.
+   * @memberof Unit
+   * @param {Unit|string|number} other The unit to compare with.
+   * @returns {boolean} True if this unit is greater than or equal to the other.
+   */
+  Unit.prototype.gte = function (other) {
+    return this.compare(other) >= 0
+  }
+
+  /**
+   * Private function _compare
+   * @param {Unit} unit1 The first unit
+   * @param {Unit} unit2 The second unit
+   * @returns {number} -1, 0, or 1
+   */
+  function _compare(unit1, unit2) {
+    if (unit1.value === null || unit1.value === undefined || unit2.value === null || unit2.value === undefined) {
+      throw new Error(`Cannot compare ${unit1.toString()} and ${unit2.toString()}: both units must have values`)
+    }
+    if (!unit1._equalDimension(unit2)) {
+      throw new Error(`Cannot compare ${unit1.toString()} and ${unit2.toString()}: dimensions do not match`)
+    }
+    return _compareValues(unit1.value, _convert(unit2.units, unit1.units, unit2.value))
+  }
+
+  /**
+   * Private function _compareValues
+   * @param {number|*} a The first value
+   * @param {number|*} b The second value
+   * @returns {number} -1 if a < b, 1 if b < a, and 0 otherwise
+   */
+  function _compareValues(a, b) {
+    if (options.customLt(a, b)) {
+      return -1
+    }
+    if (options.customLt(b, a)) {
+      return 1
+    }
+    return 0
+  }
+
+  /**
+   * Private function _sort returns a sorted copy of an array of units.
+   * @param {Array<Unit|string|number>} units The units to sort. They must all have values and the same dimension.
+   * @param {string} name The name of the calling function, for error messages.
+   * @returns {Unit[]} The units, sorted from least to greatest. Units that compare equal keep their order.
+   */
+  function _sort(units, name) {
+    if (!Array.isArray(units)) {
+      throw new TypeError(`${name} expects an array of units`)
+    }
+    units = units.map(unit => _convertParamToUnit(unit))
+    if (units.length === 0) {
+      return units
+    }
+
+    // Check the dimensions once, and convert all the values to the units of the first one
+    const first = units[0]
+    const values = units.map(unit => {
+      if (unit.value === null || unit.value === undefined) {
+        throw new Error(`Cannot compare ${unit.toString()}: all units must have values`)
+      }
+      if (!first._equalDimension(unit)) {
+        throw new Error(`Cannot compare ${first.toString()} and ${unit.toString()}: dimensions do not match`)
+      }
+      return _convert(unit.units, first.units, unit.value)
+    })
+
+    const indices = units.map((unit, i) => i)
+    indices.sort((i, j) => _compareValues(values[i], values[j]) || i - j)
+    return indices.map(i => units[i])
+  }
+
+  /**
+   * Private function _extreme returns the least or greatest of several units.
+   * @param {Array} args The arguments passed to min or max: either several units, or a single array of units.
+   * @param {string} name 'min' or 'max'
+   * @returns {Unit} The least unit for min, or the greatest unit for max. If several are equal, the first is returned.
+   */
+  function _extreme(args, name) {
+    const units = (args.length === 1 && Array.isArray(args[0])) ? args[0] : args
+    if (units.length === 0) {
+      throw new Error(`${name} requires at least one unit`)
+    }
+    const sorted = _sort(units, name)
+    if (name === 'min') {
+      return sorted[0]
+    }
+    // The sort is stable, so find the first of the greatest units
+    let i = sorted.length - 1
+    while (i > 0 && _compare(sorted[i - 1], sorted[i]) === 0) {
+      i--
+    }
+    return sorted[i]
+  }
+
+  /**
+   * Private function _aggregateValues checks that an array of units can be aggregated, and converts their values to the units of the first one.
+   * @param {Array<Unit|string|number>} units The units. They must all have values and the same dimension.
+   * @param {string} name The name of the calling function, for error messages.
+   * @returns {Object} An object with the properties `first` (the first unit, whose units the result is expressed in), `units` (the units, converted from strings or numbers if needed), and `values` (the values converted to the units of the first unit, applying any offsets, so that points such as 20 degC and 68 degF are on the same scale).
+   */
+  function _aggregateValues(units, name) {
+    if (!Array.isArray(units)) {
+      throw new TypeError(`${name} expects an array of units`)
+    }
+    if (units.length === 0) {
+      throw new Error(`${name} requires at least one unit`)
+    }
+    units = units.map(unit => _convertParamToUnit(unit))
+
+    const first = units[0]
+    const values = units.map(unit => {
+      if (unit.value === null || unit.value === undefined) {
+        throw new Error(`Cannot calculate the ${name} of ${unit.toString()}: all units must have values`)
+      }
+      if (!first._equalDimension(unit)) {
+        throw new Error(`Cannot calculate the ${name} of ${first.toString()} and ${unit.toString()}: dimensions do not match`)
+      }
+      return _convert(unit.units, first.units, unit.value)
+    })
+    return { first, units, values }
+  }
+
+  /**
+   * Private function _allPoints checks that points, such as temperatures in degC, are not mixed with other units. Other units, such as deltaC or K, are treated as intervals next to a point, as they are by add.
+   * @param {Unit[]} units The units
+   * @param {string} name The name of the calling function, for error messages.
+   * @returns {boolean} True if all of the units are points, or false if none of them are
+   */
+  function _allPoints(units, name) {
+    const point = units.find(unit => _offsetKind(unit) === 'point')
+    if (!point) {
+      return false
+    }
+    const other = units.find(unit => _offsetKind(unit, point) !== 'point')
+    if (other) {
+      throw new Error(`Cannot calculate the ${name} of ${point.toString()} and ${other.toString()}: ${point.toString()} is measured from an offset zero point, so it cannot be combined with ${other.toString()}, which is treated as an interval`)
+    }
+    return true
+  }
+
+  /**
+   * Private function _checkNotLogarithmic throws for the spread of units in a logarithmic unit, such as dBm, which would be in the square of that unit.
+   * @param {Unit} first The first unit, which gives the units of the values
+   * @param {string} name The name of the calling function, for error messages.
+   */
+  function _checkNotLogarithmic(first, name) {
+    if (_isLogarithmic(first.units)) {
+      throw new Error(`Cannot calculate the ${name} of units such as ${first.toString()}: the value of a logarithmic unit is the logarithm of a quantity. Convert the units to a linear unit first`)
+    }
+  }
+
+  /**
+   * Private function _withValue returns a copy of a unit with a new value.
+   * @param {Unit} unit The unit
+   * @param {number | *} value The new value
+   * @returns {Unit} The new unit
+   */
+  function _withValue(unit, value) {
+    const result = _clone(unit)
+    result.value = value
+    return result
+  }
+
+  /**
+   * Private function _meanValue averages values in the units of the first unit. Values in a logarithmic unit, such as dBm, are averaged on the linear scale, as sum adds them.
+   * @param {Unit} first The first unit, which gives the units of the values
+   * @param {Array<number | *>} values The values
+   * @param {string} name The name of the calling function, for error messages.
+   * @returns {number | *} The mean of the values
+   */
+  function _meanValue(first, values, name) {
+    if (!_isLogarithmic(first.units)) {
+      return options.customDiv(_sumValues(values), options.customConv(values.length))
+    }
+    if (options.strictLogarithmic && values.length > 1) {
+      throw new Error(`Cannot calculate the ${name} of ${first.toString()} and other logarithmic units: logarithmic units cannot be added when the strictLogarithmic option is set`)
+    }
+    const linear = values.map(value => _toLinear(first.units, value))
+    return _fromLinear(first.units, options.customDiv(_sumValues(linear), options.customConv(values.length)))
+  }
+
+  /**
+   * Private function _sumValues
+   * @param {Array<number | *>} values The values to add
+   * @returns {number | *} The sum of the values
+   */
+  function _sumValues(values) {
+    return values.reduce((total, value) => options.customAdd(total, value))
+  }
+
+  /**
+   * Private function _varianceValue
+   * @param {Array<number | *>} values The values
+   * @param {string} normalization 'unbiased' to divide by n - 1, or 'uncorrected' to divide by n
+   * @param {string} name The name of the calling function, for error messages.
+   * @returns {number | *} The variance of the values
+   */
+  function _varianceValue(values, normalization, name) {
+    let divisor
+    if (normalization === undefined || normalization === 'unbiased') {
+      if (values.length < 2) {
+        throw new Error(`Cannot calculate the unbiased ${name} of a single unit: at least two units are required, or use the 'uncorrected' normalization`)
+      }
+      divisor = values.length - 1
+    } else if (normalization === 'uncorrected') {
+      divisor = values.length
+    } else {
+      throw new Error(`Unknown normalization "${normalization}". Available normalizations are: unbiased, uncorrected`)
+    }
+
+    const mean = options.customDiv(_sumValues(values), options.customConv(values.length))
+    const squares = values.map(value => {
+      const diff = options.customSub(value, mean)
+      return options.customMul(diff, diff)
+    })
+    return options.customDiv(_sumValues(squares), options.customConv(divisor))
   }
 
   Unit.prototype.toString = function () {
@@ -669,16 +2010,42 @@ let _config = function _config(options) {
   /**
     * Get a string representation of the Unit, with optional formatting options.
     * @memberof Unit
-    * @param {Object} [options]  Formatting options.
+    * @param {Object|number} [formatOptions]  Formatting options, which are passed on to `customFormat` along with those of the `format` option. These include `notation`, `precision`, `lowerExp`, `upperExp`, and `simplify`. A number is the same as `{ precision: number }`. The `split` and `round` options format the unit as the sum of several units (see `split`).
     * @return {string}
     */
-  Unit.prototype.format = function (options) {
+  Unit.prototype.format = function (formatOptions) {
+
+    if (typeof formatOptions === 'number') {
+      formatOptions = { precision: formatOptions }
+    }
+    formatOptions = Object.assign({}, options.format, formatOptions)
 
-    let simp = this.clone()
+    if (formatOptions.split) {
+      // Format each part separately, as in 5 ft 3 in
+      const partOptions = Object.assign({}, formatOptions)
+      delete partOptions.split
+      return _split(this, formatOptions.split, formatOptions).map(part => part.format(partOptions)).join(' ')
+    }
+
+    let simp = _clone(this)
+
+    const simplify = formatOptions.hasOwnProperty('simplify') ? formatOptions.simplify : options.simplify
+    // Simplifying would replace a logarithmic unit such as dBm with a linear one
+    if (simplify && simp.value !== null && !_isLogarithmic(simp.units)) {
+      simp = _simplify(simp, _getUnitSystem(options.system, simp))
+    }
 
-    // TODO: Apply automatic simplification steps if specified in the config options
+    if (simp.units.length === 1 && !simp.fixPrefix) {
+      // Use the prefix that keeps the value in a readable range
+      const bestPrefix = _bestPrefix(simp)
+      const oldPrefix = simp.units[0].prefix
+      if (bestPrefix !== oldPrefix && simp.value !== null) {
+        simp.value = _rescalePrefix(simp.value, oldPrefix, bestPrefix, simp.units[0].power)
+      }
+      simp.units[0].prefix = bestPrefix
+    }
 
-    let str = (simp.value !== null) ? simp.value.toString() : ''
+    let str = (simp.value !== null) ? options.customFormat(simp.value, formatOptions) : ''
     const unitStr = _formatUnits(simp)
     if (unitStr.length > 0 && str.length > 0) {
       str += ' '
@@ -688,6 +2055,74 @@ let _config = function _config(options) {
     return str
   }
 
+  /**
+   * Private function _rescalePrefix converts a value from one prefix of a unit to another.
+   * @param {number | *} value The value, in units with the old prefix
+   * @param {Object} oldPrefix The old prefix
+   * @param {Object} newPrefix The new prefix
+   * @param {number} power The power of the unit
+   * @returns {number | *} The value in units with the new prefix
+   */
+  function _rescalePrefix(value, oldPrefix, newPrefix, power) {
+    const exactShift = Math.log10(oldPrefix.value / newPrefix.value) * power
+    const shift = Math.round(exactShift)
+    if (typeof value === 'number' && isFinite(value) && Math.abs(exactShift - shift) < 1e-9) {
+      // Move the decimal point, which is exact, unlike multiplying by a power of ten: 0.0005 m is 500 um, not 500.00000000000006 um
+      const [mantissa, exponent] = value.toExponential().split('e')
+      return Number(mantissa + 'e' + (Number(exponent) + shift))
+    }
+    // Scale by a ratio of at least 1, such as 1e6 rather than 1e-6, since its reciprocal adds round-off
+    const larger = Math.max(newPrefix.value, oldPrefix.value)
+    const smaller = Math.min(newPrefix.value, oldPrefix.value)
+    const scale = options.customPow(options.customDiv(options.customConv(larger), options.customConv(smaller)), options.customConv(Math.abs(power)))
+    return ((oldPrefix.value > newPrefix.value) === (power > 0)) ? options.customMul(value, scale) : options.customDiv(value, scale)
+  }
+
+  /**
+   * Private function _bestPrefix finds the prefix that gives the unit a value closest to (but not too far from) 10^1.2, choosing from the unit's scientific prefixes. The unit's own prefix is kept if the value is already in a reasonable range, or if the unit is raised to a non-integer power.
+   * @param {Unit} unit A unit with a single unit piece.
+   * @returns {Object} The best prefix for the unit.
+   */
+  function _bestPrefix(unit) {
+    const piece = unit.units[0]
+    let bestPrefix = piece.prefix
+
+    if (Math.abs(piece.power - Math.round(piece.power)) >= 1e-14 || unit.value === null) {
+      return bestPrefix
+    }
+
+    // The value of the unit without any prefix, as a number
+    const absValue = Math.abs(Number(unit.value)) * Math.pow(piece.prefix.value, piece.power)
+    if (absValue === 0 || !isFinite(absValue)) {
+      return bestPrefix
+    }
+
+    const prefixDiff = prefix => Math.log(absValue / Math.pow(prefix.value, piece.power)) / Math.LN10 - 1.2
+
+    let bestDiff = prefixDiff(bestPrefix)
+    if (bestDiff > -2.200001 && bestDiff < 1.800001) {
+      // Allow the original prefix
+      return bestPrefix
+    }
+    bestDiff = Math.abs(bestDiff)
+
+    const prefixes = piece.unit.prefixes
+    for (const p in prefixes) {
+      if (prefixes.hasOwnProperty(p)) {
+        const prefix = prefixes[p]
+        if (prefix.scientific) {
+          const diff = Math.abs(prefixDiff(prefix))
+          if (diff < bestDiff || (diff === bestDiff && prefix.name.length < bestPrefix.name.length)) {
+            bestPrefix = prefix
+            bestDiff = diff
+          }
+        }
+      }
+    }
+
+    return bestPrefix
+  }
+
   /**
    * Get a string representation of the units of this Unit, without the value.
    * @return {string}
@@ -753,6 +2188,9 @@ let _config = function _config(options) {
   // Create a parser configured for these options
   let parser = createParser(options, unitStore)
 
+  // Fail early if the configured unit system does not exist
+  _getUnitSystem(options.system)
+
   /**
    * Create a clone of the this unit factory function, but with the specified options.
    * @param {Object} options Configuration options, in addition to those existing, to set on the new instance.
@@ -764,6 +2202,10 @@ let _config = function _config(options) {
     }
 
     let retOptions = Object.assign({}, options, newOptions)
+    if (newOptions.tolerance) {
+      // A partial tolerance only overrides the properties it has, so { abs: '1 mm' } keeps the relative tolerance
+      retOptions.tolerance = Object.assign({}, options.tolerance, newOptions.tolerance)
+    }
     return _config(retOptions)
   }
 
@@ -827,14 +2269,392 @@ let _config = function _config(options) {
     return _convertParamToUnit(a).sqrt()
   }
 
+  /**
+  * Takes the cube root of a unit.
+  * @param {Unit|string|number} a The unit.
+  * @returns {Unit} The cube root of the unit a.
+  */
+  unitmath.cbrt = function cbrt(a) {
+    return _convertParamToUnit(a).cbrt()
+  }
+
+  /**
+  * Takes the nth root of a unit.
+  * @param {Unit|string|number} a The unit.
+  * @param {number} n The root.
+  * @returns {Unit} The nth root of the unit a.
+  */
+  unitmath.nthRoot = function nthRoot(a, n) {
+    return _convertParamToUnit(a).nthRoot(n)
+  }
+
+  /**
+  * Returns the absolute value of a unit.
+  * @param {Unit|string|number} a The unit.
+  * @returns {Unit} The absolute value of the unit a.
+  */
+  unitmath.abs = function abs(a) {
+    return _convertParamToUnit(a).abs()
+  }
+
+  /**
+  * Negates a unit.
+  * @param {Unit|string|number} a The unit.
+  * @returns {Unit} The negative of the unit a.
+  */
+  unitmath.neg = function neg(a) {
+    return _convertParamToUnit(a).neg()
+  }
+
+  /**
+  * Returns the inverse of a unit.
+  * @param {Unit|string|number} a The unit.
+  * @returns {Unit} 1 divided by the unit a.
+  */
+  unitmath.inv = function inv(a) {
+    return _convertParamToUnit(a).inv()
+  }
+
+  /**
+  * Rounds a unit to the nearest multiple of an increment, or to a number of decimal places.
+  * @param {Unit|string|number} a The unit.
+  * @param {Unit|string|number} [increment] A unit of the same dimension, or the number of decimal places.
+  * @returns {Unit} The rounded unit, in the same units as the unit a.
+  */
+  unitmath.round = function round(a, increment) {
+    return _convertParamToUnit(a).round(increment)
+  }
+
+  /**
+  * Rounds a unit down to a multiple of an increment, or to a number of decimal places.
+  * @param {Unit|string|number} a The unit.
+  * @param {Unit|string|number} [increment] A unit of the same dimension, or the number of decimal places.
+  * @returns {Unit} The rounded unit, in the same units as the unit a.
+  */
+  unitmath.floor = function floor(a, increment) {
+    return _convertParamToUnit(a).floor(increment)
+  }
+
+  /**
+  * Rounds a unit up to a multiple of an increment, or to a number of decimal places.
+  * @param {Unit|string|number} a The unit.
+  * @param {Unit|string|number} [increment] A unit of the same dimension, or the number of decimal places.
+  * @returns {Unit} The rounded unit, in the same units as the unit a.
+  */
+  unitmath.ceil = function ceil(a, increment) {
+    return _convertParamToUnit(a).ceil(increment)
+  }
+
+  /**
+  * Takes the sine of an angle.
+  * @param {Unit|string} a The angle.
+  * @returns {Unit} A dimensionless unit.
+  */
+  unitmath.sin = function sin(a) {
+    return _convertParamToUnit(a).sin()
+  }
+
+  /**
+  * Takes the cosine of an angle.
+  * @param {Unit|string} a The angle.
+  * @returns {Unit} A dimensionless unit.
+  */
+  unitmath.cos = function cos(a) {
+    return _convertParamToUnit(a).cos()
+  }
+
+  /**
+  * Takes the tangent of an angle.
+  * @param {Unit|string} a The angle.
+  * @returns {Unit} A dimensionless unit.
+  */
+  unitmath.tan = function tan(a) {
+    return _convertParamToUnit(a).tan()
+  }
+
+  /**
+  * Takes the arcsine of a dimensionless unit.
+  * @param {Unit|string|number} a The dimensionless unit.
+  * @returns {Unit} An angle in radians.
+  */
+  unitmath.asin = function asin(a) {
+    return _convertParamToUnit(a).asin()
+  }
+
+  /**
+  * Takes the arccosine of a dimensionless unit.
+  * @param {Unit|string|number} a The dimensionless unit.
+  * @returns {Unit} An angle in radians.
+  */
+  unitmath.acos = function acos(a) {
+    return _convertParamToUnit(a).acos()
+  }
+
+  /**
+  * Takes the arctangent of a dimensionless unit.
+  * @param {Unit|string|number} a The dimensionless unit.
+  * @returns {Unit} An angle in radians.
+  */
+  unitmath.atan = function atan(a) {
+    return _convertParamToUnit(a).atan()
+  }
+
+  /**
+  * Takes the angle from the positive x axis to the point (x, y).
+  * @param {Unit|string|number} y The y coordinate.
+  * @param {Unit|string|number} x The x coordinate, which must have the same dimension as y.
+  * @returns {Unit} An angle in radians.
+  */
+  unitmath.atan2 = function atan2(y, x) {
+    return _convertParamToUnit(y).atan2(x)
+  }
+
+  /**
+  * Raises e to the power of a dimensionless unit.
+  * @param {Unit|string|number} a The dimensionless unit.
+  * @returns {Unit} A dimensionless unit.
+  */
+  unitmath.exp = function exp(a) {
+    return _convertParamToUnit(a).exp()
+  }
+
+  /**
+  * Takes the natural logarithm of a dimensionless unit.
+  * @param {Unit|string|number} a The dimensionless unit.
+  * @returns {Unit} A dimensionless unit.
+  */
+  unitmath.log = function log(a) {
+    return _convertParamToUnit(a).log()
+  }
+
+  /**
+  * Takes the base-10 logarithm of a dimensionless unit.
+  * @param {Unit|string|number} a The dimensionless unit.
+  * @returns {Unit} A dimensionless unit.
+  */
+  unitmath.log10 = function log10(a) {
+    return _convertParamToUnit(a).log10()
+  }
+
+  /**
+  * Takes the base-2 logarithm of a dimensionless unit.
+  * @param {Unit|string|number} a The dimensionless unit.
+  * @returns {Unit} A dimensionless unit.
+  */
+  unitmath.log2 = function log2(a) {
+    return _convertParamToUnit(a).log2()
+  }
+
+  /**
+  * Check if two units are approximately equal, within a tolerance.
+  * @param {Unit|string|number} a The first unit.
+  * @param {Unit|string|number} b The second unit.
+  * @param {Object} [toleranceOptions] The tolerance, with the properties `rel` and `abs`, which overrides the `tolerance` option.
+  * @returns {boolean} True if the units are equal within the tolerance.
+  */
+  unitmath.approxEquals = function approxEquals(a, b, toleranceOptions) {
+    return _convertParamToUnit(a).approxEquals(b, toleranceOptions)
+  }
+
+  /**
+  * Compare two units of the same dimension.
+  * @param {Unit|string|number} a The first unit.
+  * @param {Unit|string|number} b The second unit.
+  * @returns {number} -1 if a is less than b, 1 if a is greater than b, or 0 if neither is true.
+  */
+  unitmath.compare = function compare(a, b) {
+    return _convertParamToUnit(a).compare(b)
+  }
+
+  /**
+  * Test whether one unit is less than another.
+  * @param {Unit|string|number} a The first unit.
+  * @param {Unit|string|number} b The second unit.
+  * @returns {boolean} True if a is less than b.
+  */
+  unitmath.lt = function lt(a, b) {
+    return _convertParamToUnit(a).lt(b)
+  }
+
+  /**
+  * Test whether one unit is less than or equal to another.
+  * @param {Unit|string|number} a The first unit.
+  * @param {Unit|string|number} b The second unit.
+  * @returns {boolean} True if a is less than or equal to b.
+  */
+  unitmath.lte = function lte(a, b) {
+    return _convertParamToUnit(a).lte(b)
+  }
+
+  /**
+  * Test whether one unit is greater than another.
+  * @param {Unit|string|number} a The first unit.
+  * @param {Unit|string|number} b The second unit.
+  * @returns {boolean} True if a is greater than b.
+  */
+  unitmath.gt = function gt(a, b) {
+    return _convertParamToUnit(a).gt(b)
+  }
+
+  /**
+  * Test whether one unit is greater than or equal to another.
+  * @param {Unit|string|number} a The first unit.
+  * @param {Unit|string|number} b The second unit.
+  * @returns {boolean} True if a is greater than or equal to b.
+  */
+  unitmath.gte = function gte(a, b) {
+    return _convertParamToUnit(a).gte(b)
+  }
+
+  /**
+  * Sort an array of units of the same dimension.
+  * @param {Array<Unit|string|number>} units The units to sort.
+  * @returns {Unit[]} A new array with the units sorted from least to greatest.
+  */
+  unitmath.sort = function sort(units) {
+    return _sort(units, 'sort')
+  }
+
+  /**
+  * Return the least of several units of the same dimension.
+  * @param {...(Unit|string|number)} units The units, or a single array of units.
+  * @returns {Unit} The least unit.
+  */
+  unitmath.min = function min(...units) {
+    return _extreme(units, 'min')
+  }
+
+  /**
+  * Return the greatest of several units of the same dimension.
+  * @param {...(Unit|string|number)} units The units, or a single array of units.
+  * @returns {Unit} The greatest unit.
+  */
+  unitmath.max = function max(...units) {
+    return _extreme(units, 'max')
+  }
+
+  /**
+  * Add together an array of units of the same dimension.
+  * @param {Array<Unit|string|number>} units The units to add.
+  * @returns {Unit} The sum, in the units of the first unit.
+  */
+  unitmath.sum = function sum(units) {
+    units = _aggregateValues(units, 'sum').units
+    // Add the units one at a time, so that points and intervals follow the same rules as add
+    let unit = units.slice(1).reduce((total, next) => _add(total, next), _clone(units[0]))
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+  * Calculate the mean of an array of units of the same dimension.
+  * @param {Array<Unit|string|number>} units The units.
+  * @returns {Unit} The mean, in the units of the first unit.
+  */
+  unitmath.mean = function mean(units) {
+    const aggregate = _aggregateValues(units, 'mean')
+    const { first, values } = aggregate
+    _allPoints(aggregate.units, 'mean')
+    let unit = _withValue(first, _meanValue(first, values, 'mean'))
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+  * Calculate the median of an array of units of the same dimension. For an even number of units, the median is the mean of the two middle units.
+  * @param {Array<Unit|string|number>} units The units.
+  * @returns {Unit} The median, in the units of the first unit.
+  */
+  unitmath.median = function median(units) {
+    const aggregate = _aggregateValues(units, 'median')
+    const { first, values } = aggregate
+    _allPoints(aggregate.units, 'median')
+    const sorted = values.slice().sort(_compareValues)
+    const mid = Math.floor(sorted.length / 2)
+    const value = (sorted.length % 2 === 1)
+      ? sorted[mid]
+      : _meanValue(first, [sorted[mid - 1], sorted[mid]], 'median')
+    let unit = _withValue(first, value)
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+  * Calculate the variance of an array of units of the same dimension.
+  * @param {Array<Unit|string|number>} units The units.
+  * @param {string} [normalization] 'unbiased' (the default) divides by n - 1, and 'uncorrected' divides by n.
+  * @returns {Unit} The variance, in the square of the units of the first unit, or of their interval unit if the units are points such as degC.
+  */
+  unitmath.variance = function variance(units, normalization) {
+    const aggregate = _aggregateValues(units, 'variance')
+    const { first, values } = aggregate
+    _checkNotLogarithmic(first, 'variance')
+    const squared = _pow(_withValue(first, null), options.customConv(2))
+    const value = _varianceValue(values, normalization, 'variance')
+    let unit
+    if (_allPoints(aggregate.units, 'variance')) {
+      unit = _pow(_intervalOf(first), options.customConv(2))
+      unit.value = _convertDifference(squared.units, unit.units, value)
+    } else {
+      unit = squared
+      unit.value = value
+    }
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+  * Calculate the standard deviation of an array of units of the same dimension.
+  * @param {Array<Unit|string|number>} units The units.
+  * @param {string} [normalization] 'unbiased' (the default) divides by n - 1, and 'uncorrected' divides by n.
+  * @returns {Unit} The standard deviation, in the units of the first unit, or in their interval unit if the units are points such as degC.
+  */
+  unitmath.stddev = function stddev(units, normalization) {
+    const aggregate = _aggregateValues(units, 'standard deviation')
+    const { first, values } = aggregate
+    _checkNotLogarithmic(first, 'standard deviation')
+    const value = options.customPow(_varianceValue(values, normalization, 'standard deviation'), options.customConv(0.5))
+    let unit
+    if (_allPoints(aggregate.units, 'standard deviation')) {
+      // The spread of points, such as temperatures in degC, is a difference
+      unit = _intervalOf(first)
+      unit.value = _convertDifference(first.units, unit.units, value)
+    } else {
+      unit = _withValue(first, value)
+    }
+    Object.freeze(unit)
+    return unit
+  }
+
   /**
   * Convert a unit.
   * @param {Unit|string|number} unit The unit to convert.
   * @param {Unit|string} valuelessUnit The valueless unit to convert the first unit to.
+  * @param {Object} [toOptions] Conversion options, such as `allowReciprocal`.
   * @returns {Unit} The result of converting the unit.
   */
-  unitmath.to = function to(unit, valuelessUnit) {
-    return _convertParamToUnit(unit).to(valuelessUnit)
+  unitmath.to = function to(unit, valuelessUnit, toOptions) {
+    return _convertParamToUnit(unit).to(valuelessUnit, toOptions)
+  }
+
+  /**
+  * Invert a unit, and convert it to a unit whose dimensions are the inverse of the unit's.
+  * @param {Unit|string|number} unit The unit to convert.
+  * @param {Unit|string} valuelessUnit The valueless unit to convert the inverse of the first unit to.
+  * @returns {Unit} The result of converting the inverse of the unit.
+  */
+  unitmath.toReciprocal = function toReciprocal(unit, valuelessUnit) {
+    return _convertParamToUnit(unit).toReciprocal(valuelessUnit)
+  }
+
+  /**
+  * Simplify the units of a unit.
+  * @param {Unit|string|number} unit The unit to simplify.
+  * @param {string} [systemName] The name of the unit system to use. Defaults to the `system` option.
+  * @returns {Unit} The result of simplifying the unit.
+  */
+  unitmath.simplify = function simplify(unit, systemName) {
+    return _convertParamToUnit(unit).simplify(systemName)
   }
 
   /**
@@ -846,6 +2666,154 @@ let _config = function _config(options) {
     return _convertParamToUnit(unit).toSI()
   }
 
+  /**
+  * Convert a unit to the base units of a unit system.
+  * @param {Unit|string|number} unit The unit to convert.
+  * @param {string} systemName The name of the unit system.
+  * @returns {Unit} The result of converting the unit to the unit system.
+  */
+  unitmath.toSystem = function toSystem(unit, systemName) {
+    return _convertParamToUnit(unit).toSystem(systemName)
+  }
+
+  /**
+  * Split a unit into the sum of several units, such as 5 ft 3 in.
+  * @param {Unit|string|number} unit The unit to split.
+  * @param {Array<string|Unit>} parts The valueless units to split into, from largest to smallest.
+  * @param {Object} [splitOptions] Options, such as `round`.
+  * @returns {Unit[]} An array of units, one for each part.
+  */
+  unitmath.split = function split(unit, parts, splitOptions) {
+    return _convertParamToUnit(unit).split(parts, splitOptions)
+  }
+
+  /**
+  * Parse a string with several values and units of the same dimension, such as "5 ft 3 in", "1 h 30 min", or "12° 34' 56\"", and add them together.
+  * @param {string} str The string to parse.
+  * @returns {Unit} The sum of the parts, in the units of the first part.
+  */
+  unitmath.parseMixed = function parseMixed(str) {
+    let unit = _parseMixed(str)
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+  * Create a unit from an object returned by `toJSON`.
+  * @param {Object} json An object like the one returned by `toJSON`.
+  * @returns {Unit} The unit represented by the object.
+  */
+  unitmath.fromJSON = function fromJSON(json) {
+    let unit = _fromJSON(json)
+    Object.freeze(unit)
+    return unit
+  }
+
+  /**
+  * A reviver for JSON.parse, which converts any objects that were created by `toJSON` back into units.
+  * @param {string} key The key of the value being parsed.
+  * @param {any} value The parsed value.
+  * @returns {any} A unit, if the value represents one, or else the value unchanged.
+  */
+  unitmath.reviver = function reviver(key, value) {
+    if (typeof value === 'object' && value !== null && value.type === 'Unit' && Array.isArray(value.units)) {
+      return unitmath.fromJSON(value)
+    }
+    return value
+  }
+
+  /**
+   * Private function _baseDimensionOf
+   * @param {Object} unit A unit definition from UNITS
+   * @returns {string|undefined} The base dimension, such as 'LENGTH', for which a unit system uses the unit, or undefined if there is none
+   */
+  function _baseDimensionOf(unit) {
+    for (const system in unitStore.UNIT_SYSTEMS) {
+      if (unitStore.UNIT_SYSTEMS.hasOwnProperty(system)) {
+        const baseDimension = unitStore.BASE_DIMENSIONS.find(dim => unitStore.UNIT_SYSTEMS[system].hasOwnProperty(dim) && unitStore.UNIT_SYSTEMS[system][dim].unit === unit)
+        if (baseDimension) {
+          return baseDimension
+        }
+      }
+    }
+  }
+
+  /**
+   * Create a clone of this unit factory function, with additional user-defined units.
+   * @param {Object} units An object whose keys are the names of the new units, and whose values are their definitions. A definition may be a string (such as `'1.15 USD'`), a Unit, or an object with the properties `definition`, `prefixes`, `aliases`, and `offset`. An empty definition creates a new base dimension.
+   * @param {Object} [createUnitOptions] Set `override: true` to allow existing units to be redefined. The base unit of a base dimension, such as m, cannot be overridden.
+   * @returns {Function} A new instance of the unit factory function that includes the new units.
+   */
+  unitmath.createUnit = function createUnit(units, createUnitOptions) {
+    if (typeof units !== 'object' || units === null || Array.isArray(units)) {
+      throw new TypeError('createUnit expects first parameter to be an object')
+    }
+    const override = createUnitOptions && createUnitOptions.override
+
+    let retUnits = Object.assign({}, options.units)
+    for (let name in units) {
+      if (units.hasOwnProperty(name)) {
+        if (!override && (retUnits.hasOwnProperty(name) || unitStore.UNITS.hasOwnProperty(name))) {
+          throw new Error(`Cannot create unit "${name}": a unit with that name already exists`)
+        }
+        const baseDimension = unitStore.UNITS.hasOwnProperty(name) && _baseDimensionOf(unitStore.UNITS[name])
+        if (baseDimension) {
+          throw new Error(`Cannot create unit "${name}": it is the base unit of the ${baseDimension} dimension, so it cannot be overridden`)
+        }
+        retUnits[name] = units[name]
+      }
+    }
+    Object.freeze(retUnits)
+
+    return _config(Object.assign({}, options, { units: retUnits }))
+  }
+
+  /**
+   * Create a clone of this unit factory function, with additional user-defined equivalencies.
+   * @param {Object} equivalencies An object whose keys are the names of the new equivalencies, and whose values are arrays of `[from, to, forward, backward]`. `from` and `to` are valueless units, `forward` converts a value in `from` to a value in `to`, and `backward` does the opposite. Both are called with the value and an object of the numeric functions of the namespace: `add`, `sub`, `mul`, `div`, `pow`, and `conv`. The object also has `constants`, the values of the physical constants in SI units.
+   * @returns {Function} A new instance of the unit factory function that includes the new equivalencies.
+   */
+  unitmath.createEquivalencies = function createEquivalencies(equivalencies) {
+    if (typeof equivalencies !== 'object' || equivalencies === null || Array.isArray(equivalencies)) {
+      throw new TypeError('createEquivalencies expects an object')
+    }
+    const retEquivalencies = Object.assign({}, options.equivalencies)
+    for (let name in equivalencies) {
+      if (equivalencies.hasOwnProperty(name)) {
+        const pairs = equivalencies[name]
+        const isValid = Array.isArray(pairs) && pairs.every(pair => Array.isArray(pair) && pair.length === 4 &&
+          typeof pair[2] === 'function' && typeof pair[3] === 'function')
+        if (!isValid) {
+          throw new TypeError(`Equivalency "${name}" must be an array of [from, to, forward, backward] arrays`)
+        }
+        // Check that the units exist
+        pairs.forEach(pair => {
+          _convertParamToUnit(pair[0])
+          _convertParamToUnit(pair[1])
+        })
+        retEquivalencies[name] = pairs
+      }
+    }
+    Object.freeze(retEquivalencies)
+
+    return _config(Object.assign({}, options, { equivalencies: retEquivalencies }))
+  }
+
+  /**
+   * Physical constants, from CODATA 2018, as frozen Units in SI units: c, h, hbar, k_B, N_A, R, e, G, g0, epsilon0, mu0, m_e, and m_p.
+   */
+  unitmath.constants = {}
+  for (const name in unitStore.CONSTANTS) {
+    if (unitStore.CONSTANTS.hasOwnProperty(name)) {
+      const constant = unitStore.CONSTANTS[name]
+      const unit = new Unit(options.customConv(constant.value), constant.units)
+      // Format the constants in their SI units, rather than as 9.1e-4 yg for m_e
+      unit.fixPrefix = true
+      unitmath.constants[name] = Object.freeze(unit)
+    }
+  }
+  Object.freeze(unitmath.constants)
+
   unitmath.exists = unitStore.exists
 
   unitmath._unitStore = unitStore
@@ -865,6 +2833,21 @@ let customMul = (a, b) => a * b
 let customDiv = (a, b) => a / b
 let customPow = (a, b) => Math.pow(a, b)
 let customEq = (a, b) => a === b
+let customLt = (a, b) => a < b
+let customRound = a => Math.round(a)
+let customFloor = a => Math.floor(a)
+let customCeil = a => Math.ceil(a)
+let customSin = a => Math.sin(a)
+let customCos = a => Math.cos(a)
+let customTan = a => Math.tan(a)
+let customAsin = a => Math.asin(a)
+let customAcos = a => Math.acos(a)
+let customAtan = a => Math.atan(a)
+let customAtan2 = (y, x) => Math.atan2(y, x)
+let customExp = a => Math.exp(a)
+let customLog = a => Math.log(a)
+let customLog10 = a => Math.log10(a)
+let customLog2 = a => Math.log2(a)
 let customConv = a => a
 let customClone = (a) => {
   if (typeof (a) !== 'number') {
@@ -873,9 +2856,42 @@ let customClone = (a) => {
   return a
 }
 
+let customFormat = formatNumber
+
+// Each equivalency is a list of [from, to, forward, backward], where forward converts a value in the units of from to a value in the units of to.
+// Both functions are called with the value and an object of the namespace's numeric functions (add, sub, mul, div, pow, and conv), so that they work with custom value types.
+// The object also has the values of the physical constants in SI units, such as constants.c
+const hc = m => m.mul(m.constants.h, m.constants.c)
+const c2 = m => m.mul(m.constants.c, m.constants.c)
+const equivalencies = {
+  spectral: [
+    ['m', 'Hz', (x, m) => m.div(m.constants.c, x), (x, m) => m.div(m.constants.c, x)],
+    ['m', 'J', (x, m) => m.div(hc(m), x), (x, m) => m.div(hc(m), x)],
+    ['Hz', 'J', (x, m) => m.mul(m.constants.h, x), (x, m) => m.div(x, m.constants.h)],
+    ['m^-1', 'm', (x, m) => m.div(m.conv(1), x), (x, m) => m.div(m.conv(1), x)],
+    ['m^-1', 'Hz', (x, m) => m.mul(m.constants.c, x), (x, m) => m.div(x, m.constants.c)],
+    ['m^-1', 'J', (x, m) => m.mul(hc(m), x), (x, m) => m.div(x, hc(m))]
+  ],
+  'mass-energy': [
+    ['kg', 'J', (x, m) => m.mul(x, c2(m)), (x, m) => m.div(x, c2(m))]
+  ],
+  'temperature-energy': [
+    ['K', 'J', (x, m) => m.mul(m.constants.k_B, x), (x, m) => m.div(x, m.constants.k_B)]
+  ]
+}
+
 let defaultOptions = {
   levelOfAwesomeness: 11,
-  customAdd, customSub, customMul, customDiv, customPow, customEq, customConv, customClone
+  simplify: false,
+  system: 'auto',
+  format: {},
+  tolerance: { rel: 1e-12, abs: 0 },
+  atmosphericPressure: 101325,
+  strictLogarithmic: false,
+  equivalencies,
+  customAdd, customSub, customMul, customDiv, customPow, customEq, customLt, customRound, customFloor, customCeil,
+  customSin, customCos, customTan, customAsin, customAcos, customAtan, customAtan2,
+  customExp, customLog, customLog10, customLog2, customConv, customClone, customFormat
 }
 
 let firstUnit = _config(defaultOptions, {})
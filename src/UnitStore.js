@@ -1,3 +1,5 @@
+import createParser from './Parser.js'
+
 /**
  * Creates a new unit store.
  * @param {Object} options 
@@ -176,6 +178,7 @@ export default function createUnitStore(options) {
    *   8    Bit (digital)
    * For example, the unit "298.15 K" is a pure temperature and would have a value of 298.15 and a dimension array of [0, 0, 0, 0, 1, 0, 0, 0, 0]. The unit "1 cal / (gm °C)" can be written in terms of the 9 fundamental dimensions as [length^2] / ([time^2] * [temperature]), and would a value of (after conversion to SI) 4184.0 and a dimensions array of [2, 0, -2, 0, -1, 0, 0, 0, 0].
    *
+   * Additional base dimensions, such as currency, may be registered with the baseDimensions option or by creating a unit with an empty definition. They are appended to BASE_DIMENSIONS, and the dimension arrays grow on demand: an array that is shorter than BASE_DIMENSIONS has a 0 for each missing dimension.
    */
 
   const BASE_DIMENSIONS = ['MASS', 'LENGTH', 'TIME', 'CURRENT', 'TEMPERATURE', 'LUMINOUS_INTENSITY', 'AMOUNT_OF_SUBSTANCE', 'ANGLE', 'BIT']
@@ -224,6 +227,39 @@ export default function createUnitStore(options) {
     PRESSURE: {
       dimensions: [1, -1, -2, 0, 0, 0, 0, 0, 0]
     },
+    FUEL_ECONOMY: {
+      dimensions: [0, -2, 0, 0, 0, 0, 0, 0, 0]
+    },
+    MOLAR_CONCENTRATION: {
+      dimensions: [0, -3, 0, 0, 0, 0, 1, 0, 0]
+    },
+    VELOCITY: {
+      dimensions: [0, 1, -1, 0, 0, 0, 0, 0, 0]
+    },
+    ACCELERATION: {
+      dimensions: [0, 1, -2, 0, 0, 0, 0, 0, 0]
+    },
+    ACTION: {
+      dimensions: [1, 2, -1, 0, 0, 0, 0, 0, 0]
+    },
+    ENTROPY: {
+      dimensions: [1, 2, -2, 0, -1, 0, 0, 0, 0]
+    },
+    MOLAR_ENTROPY: {
+      dimensions: [1, 2, -2, 0, -1, 0, -1, 0, 0]
+    },
+    INVERSE_AMOUNT_OF_SUBSTANCE: {
+      dimensions: [0, 0, 0, 0, 0, 0, -1, 0, 0]
+    },
+    GRAVITATIONAL_CONSTANT: {
+      dimensions: [-1, 3, -2, 0, 0, 0, 0, 0, 0]
+    },
+    PERMITTIVITY: {
+      dimensions: [-1, -3, 4, 2, 0, 0, 0, 0, 0]
+    },
+    PERMEABILITY: {
+      dimensions: [1, 1, -2, -2, 0, 0, 0, 0, 0]
+    },
 
     ELECTRIC_CHARGE: {
       dimensions: [0, 0, 1, 1, 0, 0, 0, 0, 0]
@@ -265,11 +301,22 @@ export default function createUnitStore(options) {
     DIMENSIONS[key].key = key
   }
 
+  // These derived dimensions are only the bases of built-in units such as mpg and the physical constants, and no unit system has a unit for them.
+  // A user-defined unit of one of these dimensions is used for it in every unit system, just as if its dimension were new
+  const UNIT_BASE_DIMENSIONS = ['FUEL_ECONOMY', 'MOLAR_CONCENTRATION', 'VELOCITY', 'ACCELERATION', 'ACTION', 'ENTROPY', 'MOLAR_ENTROPY',
+    'INVERSE_AMOUNT_OF_SUBSTANCE', 'GRAVITATIONAL_CONSTANT', 'PERMITTIVITY', 'PERMEABILITY']
+
   const BASE_UNIT_NONE = {}
 
   // TODO: Do we really need this?
   const UNIT_NONE = { name: '', base: BASE_UNIT_NONE, value: 1, offset: 0, dimensions: BASE_DIMENSIONS.map(x => 0) }
 
+  // The reference pressure for gauge pressure units such as psig, in Pa
+  const ATMOSPHERIC_PRESSURE = (options.atmosphericPressure === undefined) ? 101325 : options.atmosphericPressure
+  if (typeof ATMOSPHERIC_PRESSURE !== 'number' || !(ATMOSPHERIC_PRESSURE > 0) || !isFinite(ATMOSPHERIC_PRESSURE)) {
+    throw new TypeError(`The atmosphericPressure option must be a positive number of pascals (got ${ATMOSPHERIC_PRESSURE})`)
+  }
+
   const UNITS = {
     // length
     meter: {
@@ -986,23 +1033,23 @@ export default function createUnitStore(options) {
       name: 'cycle',
       base: DIMENSIONS.ANGLE,
       prefixes: PREFIXES.NONE,
-      value: 2*Math.pi,
+      value: 2 * Math.PI,
       offset: 0
     },
-    // arcsec = rad / (3600 * (360 / 2 * pi)) = rad / 0.0000048481368110953599358991410235795
+    // arcsec = rad / (3600 * (360 / 2 * pi)) = rad / 206264.80624709635515647335733078 = 0.0000048481368110953599358991410235795 rad
     arcsec: {
       name: 'arcsec',
       base: DIMENSIONS.ANGLE,
       prefixes: PREFIXES.NONE,
-      value: 0.05 / Math.pi,
+      value: Math.PI / 648000,
       offset: 0
     },
-    // arcmin = rad / (60 * (360 / 2 * pi)) = rad / 0.00029088820866572159615394846141477
+    // arcmin = rad / (60 * (360 / 2 * pi)) = rad / 3437.7467707849392526078892888463 = 0.00029088820866572159615394846141477 rad
     arcmin: {
       name: 'arcmin',
       base: DIMENSIONS.ANGLE,
       prefixes: PREFIXES.NONE,
-      value: 3 / Math.pi,
+      value: Math.PI / 10800,
       offset: 0
     },
 
@@ -1038,14 +1085,16 @@ export default function createUnitStore(options) {
       base: DIMENSIONS.TEMPERATURE,
       prefixes: PREFIXES.NONE,
       value: 1,
-      offset: 273.15
+      offset: 273.15,
+      interval: 'deltaC'
     },
     degF: {
       name: 'degF',
       base: DIMENSIONS.TEMPERATURE,
       prefixes: PREFIXES.NONE,
       value: 1 / 1.8,
-      offset: 459.67
+      offset: 459.67,
+      interval: 'deltaF'
     },
     degR: {
       name: 'degR',
@@ -1066,14 +1115,16 @@ export default function createUnitStore(options) {
       base: DIMENSIONS.TEMPERATURE,
       prefixes: PREFIXES.NONE,
       value: 1,
-      offset: 273.15
+      offset: 273.15,
+      interval: 'deltaC'
     },
     fahrenheit: {
       name: 'fahrenheit',
       base: DIMENSIONS.TEMPERATURE,
       prefixes: PREFIXES.NONE,
       value: 1 / 1.8,
-      offset: 459.67
+      offset: 459.67,
+      interval: 'deltaF'
     },
     rankine: {
       name: 'rankine',
@@ -1083,6 +1134,41 @@ export default function createUnitStore(options) {
       offset: 0
     },
 
+    // Temperature differences
+    // Subtracting two temperatures with an offset, such as degC, gives an interval, such as deltaC
+    deltaC: {
+      name: 'deltaC',
+      base: DIMENSIONS.TEMPERATURE,
+      prefixes: PREFIXES.NONE,
+      value: 1,
+      offset: 0,
+      isInterval: true
+    },
+    deltaF: {
+      name: 'deltaF',
+      base: DIMENSIONS.TEMPERATURE,
+      prefixes: PREFIXES.NONE,
+      value: 1 / 1.8,
+      offset: 0,
+      isInterval: true
+    },
+    deltaK: {
+      name: 'deltaK',
+      base: DIMENSIONS.TEMPERATURE,
+      prefixes: PREFIXES.NONE,
+      value: 1,
+      offset: 0,
+      isInterval: true
+    },
+    deltaR: {
+      name: 'deltaR',
+      base: DIMENSIONS.TEMPERATURE,
+      prefixes: PREFIXES.NONE,
+      value: 1 / 1.8,
+      offset: 0,
+      isInterval: true
+    },
+
     // amount of substance
     mol: {
       name: 'mol',
@@ -1310,6 +1396,124 @@ export default function createUnitStore(options) {
       offset: 0
     },
 
+    // Gauge pressure is measured from atmospheric pressure, and absolute pressure from vacuum
+    // The difference of two gauge pressures, or of a gauge and an absolute pressure, is given in psi or bar
+    psia: {
+      name: 'psia',
+      base: DIMENSIONS.PRESSURE,
+      prefixes: PREFIXES.NONE,
+      value: 6894.75729276459,
+      offset: 0,
+      interval: 'psi',
+      isAbsolute: true
+    },
+    psig: {
+      name: 'psig',
+      base: DIMENSIONS.PRESSURE,
+      prefixes: PREFIXES.NONE,
+      value: 6894.75729276459,
+      offset: ATMOSPHERIC_PRESSURE / 6894.75729276459,
+      interval: 'psi'
+    },
+    bara: {
+      name: 'bara',
+      base: DIMENSIONS.PRESSURE,
+      prefixes: PREFIXES.NONE,
+      value: 100000,
+      offset: 0,
+      interval: 'bar',
+      isAbsolute: true
+    },
+    barg: {
+      name: 'barg',
+      base: DIMENSIONS.PRESSURE,
+      prefixes: PREFIXES.NONE,
+      value: 100000,
+      offset: ATMOSPHERIC_PRESSURE / 100000,
+      interval: 'bar'
+    },
+
+    // Fuel economy and fuel consumption, which are reciprocals of each other
+    mpg: {
+      name: 'mpg',
+      base: DIMENSIONS.FUEL_ECONOMY,
+      prefixes: PREFIXES.NONE,
+      value: 1609.344 / 0.003785412, // mile / gal
+      offset: 0
+    },
+    L100km: {
+      name: 'L100km',
+      base: DIMENSIONS.SURFACE,
+      prefixes: PREFIXES.NONE,
+      value: 1e-8, // L / (100 km)
+      offset: 0
+    },
+
+    // Logarithmic units
+    // A value v in a logarithmic unit represents the linear quantity value * base^(v / factor), where value is in SI units
+    // decibels is the number of decibels in one of the unit, which is used to add a gain such as 3 dB to a level such as 10 dBm
+    // B is the byte, so the bel is written out
+    bel: {
+      name: 'bel',
+      base: DIMENSIONS.NONE,
+      prefixes: PREFIXES.NONE,
+      value: 1,
+      offset: 0,
+      logarithmic: { base: 10, factor: 1, decibels: 10 }
+    },
+    dB: {
+      name: 'dB',
+      base: DIMENSIONS.NONE,
+      prefixes: PREFIXES.NONE,
+      value: 1,
+      offset: 0,
+      logarithmic: { base: 10, factor: 10, decibels: 1 }
+    },
+    // The neper is the natural logarithm of a ratio of amplitudes, so the ratio of powers is e^(2 v)
+    Np: {
+      name: 'Np',
+      base: DIMENSIONS.NONE,
+      prefixes: PREFIXES.NONE,
+      value: 1,
+      offset: 0,
+      logarithmic: { base: Math.E, factor: 0.5, decibels: 20 / Math.LN10 }
+    },
+    dBW: {
+      name: 'dBW',
+      base: DIMENSIONS.POWER,
+      prefixes: PREFIXES.NONE,
+      value: 1,
+      offset: 0,
+      logarithmic: { base: 10, factor: 10, decibels: 1 }
+    },
+    dBm: {
+      name: 'dBm',
+      base: DIMENSIONS.POWER,
+      prefixes: PREFIXES.NONE,
+      value: 1e-3,
+      offset: 0,
+      logarithmic: { base: 10, factor: 10, decibels: 1 }
+    },
+    // Voltage is an amplitude, so a factor of 10 in voltage is 20 dBV
+    dBV: {
+      name: 'dBV',
+      base: DIMENSIONS.ELECTRIC_POTENTIAL,
+      prefixes: PREFIXES.NONE,
+      value: 1,
+      offset: 0,
+      logarithmic: { base: 10, factor: 20, decibels: 1 }
+    },
+    // pH is the negative base-10 logarithm of the concentration of hydrogen ions in mol/L
+    // It is not named pH, which is the picohenry
+    pH_acidity: {
+      name: 'pH_acidity',
+      base: DIMENSIONS.MOLAR_CONCENTRATION,
+      prefixes: PREFIXES.NONE,
+      value: 1000,
+      offset: 0,
+      logarithmic: { base: 10, factor: -1 }
+    },
+
     // Electric charge
     coulomb: {
       name: 'coulomb',
@@ -1465,6 +1669,39 @@ export default function createUnitStore(options) {
     }
   }
 
+  // Physical constants, from CODATA 2018, in SI units
+  // Each constant is also a unit, so that unit strings such as '3 c' may refer to it, unless noted
+  const CONSTANTS = {
+    c: { value: 299792458, units: 'm/s', base: DIMENSIONS.VELOCITY },
+    // h is the hour, and hbar is the hectobar, so these constants have other names in unit strings
+    h: { value: 6.62607015e-34, units: 'J s', base: DIMENSIONS.ACTION, unitName: 'h_planck' },
+    hbar: { value: 1.054571817e-34, units: 'J s', base: DIMENSIONS.ACTION, unitName: 'hbar_planck' },
+    k_B: { value: 1.380649e-23, units: 'J/K', base: DIMENSIONS.ENTROPY },
+    N_A: { value: 6.02214076e23, units: 'mol^-1', base: DIMENSIONS.INVERSE_AMOUNT_OF_SUBSTANCE },
+    R: { value: 8.314462618, units: 'J/(mol K)', base: DIMENSIONS.MOLAR_ENTROPY },
+    // A unit named e would be confused with exponential notation, as in '5e'
+    e: { value: 1.602176634e-19, units: 'C', base: DIMENSIONS.ELECTRIC_CHARGE, unitName: 'e_charge' },
+    G: { value: 6.67430e-11, units: 'm^3/(kg s^2)', base: DIMENSIONS.GRAVITATIONAL_CONSTANT },
+    g0: { value: 9.80665, units: 'm/s^2', base: DIMENSIONS.ACCELERATION },
+    epsilon0: { value: 8.8541878128e-12, units: 'F/m', base: DIMENSIONS.PERMITTIVITY },
+    mu0: { value: 1.25663706212e-6, units: 'N/A^2', base: DIMENSIONS.PERMEABILITY },
+    m_e: { value: 9.1093837015e-31, units: 'kg', base: DIMENSIONS.MASS },
+    m_p: { value: 1.67262192369e-27, units: 'kg', base: DIMENSIONS.MASS }
+  }
+
+  for (const constantName in CONSTANTS) {
+    if (CONSTANTS.hasOwnProperty(constantName)) {
+      const name = CONSTANTS[constantName].unitName || constantName
+      UNITS[name] = {
+        name,
+        base: CONSTANTS[constantName].base,
+        prefixes: PREFIXES.NONE,
+        value: CONSTANTS[constantName].value,
+        offset: 0
+      }
+    }
+  }
+
   // aliases (formerly plurals)
   const ALIASES = {
     meters: 'meter',
@@ -1581,7 +1818,7 @@ export default function createUnitStore(options) {
       LUMINOUS_INTENSITY: { unit: UNITS.cd, prefix: PREFIXES.SHORT[''] },
       AMOUNT_OF_SUBSTANCE: { unit: UNITS.mol, prefix: PREFIXES.SHORT[''] },
       ANGLE: { unit: UNITS.rad, prefix: PREFIXES.SHORT[''] },
-      BIT: { unit: UNITS.bit, prefix: PREFIXES.SHORT[''] },
+      BIT: { unit: UNITS.b, prefix: PREFIXES.BINARY_SHORT[''] },
 
       // Derived dimensions
       FORCE: { unit: UNITS.N, prefix: PREFIXES.SHORT[''] },
@@ -1600,8 +1837,8 @@ export default function createUnitStore(options) {
     }
   }
 
-  // Clone to create the other unit systems
-  UNIT_SYSTEMS.cgs = JSON.parse(JSON.stringify(UNIT_SYSTEMS.si))
+  // Clone to create the other unit systems. The clones are shallow, so that they refer to the same unit objects; entries are replaced, never mutated.
+  UNIT_SYSTEMS.cgs = Object.assign({}, UNIT_SYSTEMS.si)
   UNIT_SYSTEMS.cgs.LENGTH = { unit: UNITS.m, prefix: PREFIXES.SHORT['c'] }
   UNIT_SYSTEMS.cgs.MASS = { unit: UNITS.g, prefix: PREFIXES.SHORT[''] }
   UNIT_SYSTEMS.cgs.FORCE = { unit: UNITS.dyn, prefix: PREFIXES.SHORT[''] }
@@ -1609,7 +1846,7 @@ export default function createUnitStore(options) {
   // there are wholly 4 unique cgs systems for electricity and magnetism,
   // so let's not worry about it unless somebody complains
 
-  UNIT_SYSTEMS.us = JSON.parse(JSON.stringify(UNIT_SYSTEMS.si))
+  UNIT_SYSTEMS.us = Object.assign({}, UNIT_SYSTEMS.si)
   UNIT_SYSTEMS.us.LENGTH = { unit: UNITS.ft, prefix: PREFIXES.NONE[''] }
   UNIT_SYSTEMS.us.MASS = { unit: UNITS.lbm, prefix: PREFIXES.NONE[''] }
   UNIT_SYSTEMS.us.TEMPERATURE = { unit: UNITS.degF, prefix: PREFIXES.NONE[''] }
@@ -1620,11 +1857,8 @@ export default function createUnitStore(options) {
 
   // Add additional unit systems here.
 
-  // Choose a unit system to seed the auto unit system.
-  UNIT_SYSTEMS.auto = JSON.parse(JSON.stringify(UNIT_SYSTEMS.si))
-
-  // Set the current unit system
-  let currentUnitSystem = UNIT_SYSTEMS.auto
+  // Choose a unit system to seed the auto unit system. The auto unit system is never modified; instead, each unit overrides it with its own units when it is simplified.
+  UNIT_SYSTEMS.auto = Object.assign({}, UNIT_SYSTEMS.si)
 
   // Add dimensions to each built-in unit
   for (let key in UNITS) {
@@ -1643,10 +1877,216 @@ export default function createUnitStore(options) {
         }
       }
       alias.name = name
+      // The name of the unit this is an alias of, so that the two can be combined, as in (m hours) / hour
+      alias.aliasOf = unit.aliasOf || unit.name
       UNITS[name] = alias
     }
   }
 
+  // Register the user-defined base dimensions
+  if (options.baseDimensions) {
+    if (!Array.isArray(options.baseDimensions)) {
+      throw new TypeError('The baseDimensions option must be an array of strings')
+    }
+    options.baseDimensions.forEach(_createBaseDimension)
+  }
+
+  // Create the user-defined units, in the order in which they were defined, so that each definition may refer to the ones before it
+  if (options.units) {
+    const parser = createParser(options, { BASE_DIMENSIONS, findUnit })
+    for (const name in options.units) {
+      if (options.units.hasOwnProperty(name)) {
+        _createUnit(name, options.units[name], parser)
+      }
+    }
+  }
+
+  /**
+   * Appends a new base dimension to BASE_DIMENSIONS and adds it to DIMENSIONS. Existing dimension arrays are not extended.
+   * @param {string} name The name of the new base dimension, such as 'CURRENCY'.
+   */
+  function _createBaseDimension(name) {
+    if (typeof name !== 'string' || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
+      throw new Error(`Invalid base dimension name "${name}"`)
+    }
+    if (DIMENSIONS.hasOwnProperty(name)) {
+      throw new Error(`Cannot create base dimension "${name}": a dimension with that name already exists`)
+    }
+    BASE_DIMENSIONS.push(name)
+    const dimensions = BASE_DIMENSIONS.map(x => 0)
+    dimensions[dimensions.length - 1] = 1
+    DIMENSIONS[name] = { dimensions, key: name }
+  }
+
+  /**
+   * Tests whether two dimension arrays are equal, treating missing entries as 0.
+   * @param {number[]} a
+   * @param {number[]} b
+   * @returns {boolean} True if the dimensions are equal.
+   */
+  function _equalDimensions(a, b) {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      if (Math.abs((a[i] || 0) - (b[i] || 0)) > 1e-12) {
+        return false
+      }
+    }
+    return true
+  }
+
+  /**
+   * Adds a user-defined unit to UNITS, along with its aliases. If the definition is empty, the unit becomes the base unit of a new base dimension, or of the registered base dimension given by the base property.
+   * @param {string} name The name of the new unit.
+   * @param {string|Unit|Object} definition A string such as '1.15 USD', a Unit, or an object with the properties definition, base, prefixes, aliases, offset, interval, isInterval, and isAbsolute.
+   * @param {Function} parser The parser used to parse string definitions.
+   */
+  function _createUnit(name, definition, parser) {
+    if (typeof name !== 'string' || !/^[a-zA-Z][a-zA-Z0-9]*$/.test(name)) {
+      throw new Error(`Invalid unit name "${name}"`)
+    }
+
+    if (typeof definition === 'string' || _isUnit(definition)) {
+      definition = { definition }
+    }
+    if (typeof definition !== 'object' || definition === null) {
+      throw new TypeError(`Cannot create unit "${name}": definition must be a string, a Unit, or an object`)
+    }
+
+    const prefixesName = (definition.prefixes || 'none').toUpperCase()
+    if (!PREFIXES.hasOwnProperty(prefixesName)) {
+      throw new Error(`Cannot create unit "${name}": unknown prefixes "${definition.prefixes}"`)
+    }
+
+    let aliases = definition.aliases || []
+    if (typeof aliases === 'string') {
+      aliases = [aliases]
+    }
+
+    let parsed = definition.definition || ''
+    if (typeof parsed === 'string') {
+      parsed = parser(parsed)
+    } else if (!_isUnit(parsed)) {
+      throw new TypeError(`Cannot create unit "${name}": definition must be a string or a Unit`)
+    }
+
+    const newUnit = {
+      name,
+      prefixes: PREFIXES[prefixesName],
+      value: 1,
+      offset: definition.offset || 0
+    }
+    if (definition.interval) {
+      // The name of the unit for the difference of two values in this unit, as deltaC is for degC
+      newUnit.interval = definition.interval
+    }
+    if (definition.isInterval) {
+      newUnit.isInterval = true
+    }
+    if (definition.isAbsolute) {
+      // Measured from zero, as psia is, so that it is subtracted from a point such as psig as another point
+      newUnit.isAbsolute = true
+    }
+
+    const isEmpty = parsed.units.length === 0 && (parsed.value === undefined || parsed.value === null)
+
+    if (definition.base) {
+      if (BASE_DIMENSIONS.indexOf(definition.base) < 0) {
+        throw new Error(`Cannot create unit "${name}": "${definition.base}" is not a base dimension`)
+      }
+      if (!isEmpty) {
+        throw new Error(`Cannot create unit "${name}": a unit with a base dimension must not have a definition`)
+      }
+    }
+
+    if (isEmpty) {
+      // Empty definition, so this unit becomes the base unit of a base dimension
+      let baseName = definition.base
+      if (!baseName) {
+        baseName = name + '_STUFF'
+        _createBaseDimension(baseName)
+      }
+      newUnit.base = DIMENSIONS[baseName]
+
+      // Use the new unit to express the base dimension in every unit system that does not already have a unit for it
+      for (const system in UNIT_SYSTEMS) {
+        if (!UNIT_SYSTEMS[system].hasOwnProperty(baseName)) {
+          UNIT_SYSTEMS[system][baseName] = { unit: newUnit, prefix: PREFIXES.NONE[''] }
+        }
+      }
+    } else {
+      // Combine the definition's value with the value and prefix of each of its unit pieces
+      newUnit.value = (parsed.value === undefined || parsed.value === null) ? 1 : parsed.value
+      const dimensions = BASE_DIMENSIONS.map(x => 0)
+      for (let i = 0; i < parsed.units.length; i++) {
+        const piece = parsed.units[i]
+        newUnit.value *= Math.pow(piece.unit.value * piece.prefix.value, piece.power)
+        for (let j = 0; j < dimensions.length; j++) {
+          dimensions[j] += (piece.unit.dimensions[j] || 0) * piece.power
+        }
+      }
+
+      // Find a dimension that matches, or create a new derived one
+      for (const key in DIMENSIONS) {
+        if (_equalDimensions(DIMENSIONS[key].dimensions, dimensions)) {
+          newUnit.base = DIMENSIONS[key]
+          break
+        }
+      }
+      if (!newUnit.base) {
+        const baseName = name + '_STUFF'
+        DIMENSIONS[baseName] = { dimensions, key: baseName }
+        newUnit.base = DIMENSIONS[baseName]
+
+        // The new unit is the only unit with this dimension, so every unit system should simplify to it
+        for (const system in UNIT_SYSTEMS) {
+          UNIT_SYSTEMS[system][baseName] = { unit: newUnit, prefix: PREFIXES.NONE[''] }
+        }
+      } else if (UNIT_BASE_DIMENSIONS.indexOf(newUnit.base.key) >= 0) {
+        for (const system in UNIT_SYSTEMS) {
+          if (!UNIT_SYSTEMS[system].hasOwnProperty(newUnit.base.key)) {
+            UNIT_SYSTEMS[system][newUnit.base.key] = { unit: newUnit, prefix: PREFIXES.NONE[''] }
+          }
+        }
+      }
+    }
+
+    newUnit.dimensions = newUnit.base.dimensions
+
+    // Point the unit systems at the new definition of an overridden unit, or remove the unit from them if it no longer fits
+    const previous = UNITS[name]
+    if (previous) {
+      for (const system in UNIT_SYSTEMS) {
+        for (const key in UNIT_SYSTEMS[system]) {
+          const entry = UNIT_SYSTEMS[system][key]
+          if (!UNIT_SYSTEMS[system].hasOwnProperty(key) || entry.unit !== previous) {
+            continue
+          }
+          if (_equalDimensions(newUnit.dimensions, DIMENSIONS[key].dimensions) && newUnit.prefixes.hasOwnProperty(entry.prefix.name)) {
+            UNIT_SYSTEMS[system][key] = { unit: newUnit, prefix: newUnit.prefixes[entry.prefix.name] }
+          } else {
+            delete UNIT_SYSTEMS[system][key]
+          }
+        }
+      }
+    }
+    UNITS[name] = newUnit
+
+    for (let i = 0; i < aliases.length; i++) {
+      if (UNITS.hasOwnProperty(aliases[i])) {
+        throw new Error(`Cannot create alias "${aliases[i]}": a unit with that name already exists`)
+      }
+      UNITS[aliases[i]] = Object.assign({}, newUnit, { name: aliases[i], aliasOf: name })
+    }
+  }
+
+  /**
+   * Tests whether the given value is a Unit, from this or any other namespace.
+   * @param {*} value
+   * @returns {boolean} True if value is a Unit.
+   */
+  function _isUnit(value) {
+    return value !== null && typeof value === 'object' && value.type === 'Unit'
+  }
+
   /**
    * Tests whether the given string exists as a known unit. The unit may have a prefix.
    * @param {string} singleUnitString The name of the unit, with optional prefix.
@@ -1699,10 +2139,17 @@ export default function createUnitStore(options) {
   Object.freeze(PREFIXES)
   Object.freeze(BASE_DIMENSIONS)
   Object.freeze(DIMENSIONS)
+  for (const system in UNIT_SYSTEMS) {
+    Object.freeze(UNIT_SYSTEMS[system])
+  }
   Object.freeze(UNIT_SYSTEMS)
   Object.freeze(UNITS)
+  for (const name in CONSTANTS) {
+    Object.freeze(CONSTANTS[name])
+  }
+  Object.freeze(CONSTANTS)
 
   // expose arrays with prefixes, dimensions, units, systems
-  return { PREFIXES, BASE_DIMENSIONS, DIMENSIONS, UNIT_SYSTEMS, UNITS, exists, findUnit }
+  return { PREFIXES, BASE_DIMENSIONS, DIMENSIONS, UNIT_SYSTEMS, UNITS, CONSTANTS, exists, findUnit }
 
 }
\ No newline at end of file
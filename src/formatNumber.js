@@ -0,0 +1,126 @@
+/**
+ * Split a number into its sign, significant digits, and exponent.
+ * @param {number} value A finite number.
+ * @param {number} [precision] The number of significant digits to round to. If undefined, the shortest digits that represent the value are used.
+ * @returns {Object} An object with the properties `sign` ('' or '-'), `digits` (a string of digits, without leading zeros), and `exponent` (the power of ten of the first digit).
+ */
+function splitNumber(value, precision) {
+  const str = (precision === undefined) ? value.toExponential() : value.toExponential(precision - 1)
+  const match = /^(-?)(\d)(?:\.(\d+))?e([+-]\d+)$/.exec(str)
+  return {
+    sign: match[1],
+    digits: match[2] + (match[3] || ''),
+    exponent: parseInt(match[4], 10)
+  }
+}
+
+/**
+ * Write a split number without an exponent, as in 0.00123 or 1230.
+ * @param {Object} split The split number, as returned by splitNumber.
+ * @param {number} [decimals] The minimum number of decimal places. Zeros are added to the end if needed.
+ * @returns {string} The formatted number.
+ */
+function toPlain(split, decimals) {
+  const { sign, digits, exponent } = split
+  let intPart, fracPart
+  if (exponent < 0) {
+    intPart = '0'
+    fracPart = '0'.repeat(-exponent - 1) + digits
+  } else if (digits.length > exponent + 1) {
+    intPart = digits.slice(0, exponent + 1)
+    fracPart = digits.slice(exponent + 1)
+  } else {
+    intPart = digits + '0'.repeat(exponent + 1 - digits.length)
+    fracPart = ''
+  }
+  if (decimals !== undefined) {
+    fracPart = fracPart.padEnd(decimals, '0')
+  }
+  return sign + intPart + (fracPart.length > 0 ? '.' + fracPart : '')
+}
+
+/**
+ * Write a split number with an exponent, as in 1.23e-3.
+ * @param {Object} split The split number, as returned by splitNumber.
+ * @param {number} [exponent] The exponent to write. Defaults to the exponent of the first digit, and must not be larger than it.
+ * @returns {string} The formatted number.
+ */
+function toExponent(split, exponent) {
+  if (exponent === undefined) {
+    exponent = split.exponent
+  }
+  const mantissa = toPlain({ sign: split.sign, digits: split.digits, exponent: split.exponent - exponent })
+  return mantissa + 'e' + (exponent < 0 ? '-' : '+') + Math.abs(exponent)
+}
+
+/**
+ * Round a number to a number of decimal places, and split it.
+ * @param {number} value A finite number.
+ * @param {number} decimals The number of decimal places.
+ * @returns {Object} The split number.
+ */
+function splitFixed(value, decimals) {
+  const significant = splitNumber(value).exponent + 1 + decimals
+  if (significant < 1) {
+    // The value rounds to 0 or to one unit in the last decimal place
+    const roundsUp = Math.abs(value) >= 0.5 * Math.pow(10, -decimals)
+    return { sign: (value < 0 && roundsUp) ? '-' : '', digits: roundsUp ? '1' : '0', exponent: roundsUp ? -decimals : 0 }
+  }
+  return splitNumber(value, Math.min(significant, 100))
+}
+
+/**
+ * Format a number, using the notation and precision options like those of math.js. By default, numbers with an exponent less than -3 or of 5 or more are written with an exponent.
+ * @param {number} value The number to format.
+ * @param {Object} [options] Formatting options.
+ * @param {string} [options.notation] One of `'auto'` (the default), `'fixed'`, `'exponential'`, or `'engineering'`.
+ * @param {number} [options.precision] The number of decimal places for `'fixed'` notation, or else the number of significant digits. By default, as many digits as needed to represent the value are used.
+ * @param {number} [options.lowerExp] For `'auto'` notation, values whose exponent is less than this are written with an exponent. The default is -3.
+ * @param {number} [options.upperExp] For `'auto'` notation, values whose exponent is greater than or equal to this are written with an exponent. The default is 5.
+ * @returns {string} The formatted number.
+ */
+export default function formatNumber(value, options) {
+  if (typeof value !== 'number') {
+    throw new TypeError(`To format units with value types other than 'number', you must configure a custom 'format' method. (Value type is ${typeof (value)})`)
+  }
+  if (!isFinite(value)) {
+    return String(value)
+  }
+
+  options = options || {}
+  const notation = options.notation || 'auto'
+  const precision = options.precision
+  if (precision !== undefined && (typeof precision !== 'number' || precision < 0 || Math.round(precision) !== precision)) {
+    throw new TypeError(`Precision must be a non-negative integer (got ${precision})`)
+  }
+
+  switch (notation) {
+    case 'fixed':
+      return (precision === undefined) ? toPlain(splitNumber(value)) : toPlain(splitFixed(value, precision), precision)
+
+    case 'exponential':
+      return toExponent(splitNumber(value, precision || undefined))
+
+    case 'engineering': {
+      const split = splitNumber(value, precision || undefined)
+      const exponent = split.exponent - ((split.exponent % 3) + 3) % 3
+      return toExponent(split, exponent)
+    }
+
+    case 'auto': {
+      // The default thresholds are the same as those of math.js
+      const lowerExp = (options.lowerExp === undefined) ? -3 : options.lowerExp
+      const upperExp = (options.upperExp === undefined) ? 5 : options.upperExp
+      const split = splitNumber(value, precision || undefined)
+      // Trailing zeros are not significant in auto notation
+      split.digits = split.digits.replace(/(.)0+$/, '$1')
+      if (value !== 0 && (split.exponent < lowerExp || split.exponent >= upperExp)) {
+        return toExponent(split)
+      }
+      return toPlain(split)
+    }
+
+    default:
+      throw new Error(`Unknown notation "${notation}". Available notations are: auto, fixed, exponential, engineering`)
+  }
+}